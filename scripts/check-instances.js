@@ -37,7 +37,7 @@ async function checkInstances() {
          instancesError.message.includes('relation') || 
          instancesError.code === '42P01')) {
       console.log('⚠️ The bot_instances table does not exist. You need to create it first.');
-      console.log('Run node scripts/setup-instance-table.js to create the table.');
+      console.log('Run npm run migrate up to create the table.');
       return;
     } else if (instancesError) {
       console.error('❌ Error querying bot_instances table:', instancesError.message);
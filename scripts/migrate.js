@@ -0,0 +1,107 @@
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js status [--url <postgres url>]
+ *   node scripts/migrate.js up [--to <version>] [--url <postgres url>]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--url <postgres url>]
+ *
+ * Versions may be given without leading zeros, --to 3 means 0003. down --to 0 reverts everything.
+ * The URL defaults to DATABASE_URL. For Supabase use the connection string from
+ * Project Settings > Database, with ?sslmode=require.
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+import { parseArgs } from 'util';
+import { MigrationRunner } from '../src/db/MigrationRunner.js';
+
+// Load environment variables
+dotenv.config();
+
+const COMMANDS = ['status', 'up', 'down'];
+
+function printStatus(status) {
+  if (status.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+
+  for (const migration of status) {
+    const state = migration.applied
+      ? `applied ${new Date(migration.appliedAt).toISOString()}`
+      : 'pending';
+    const notes = [
+      migration.changed && 'file changed since it was applied',
+      migration.missing && 'file missing'
+    ].filter(Boolean);
+
+    console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name}  ${state}` +
+      (notes.length ? `  ⚠️  ${notes.join(', ')}` : ''));
+  }
+
+  const pending = status.filter(migration => !migration.applied).length;
+  console.log(`\n${pending} pending migration(s)`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      to: { type: 'string' },
+      steps: { type: 'string' }
+    }
+  });
+
+  const [command] = positionals;
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node scripts/migrate.js <${COMMANDS.join('|')}> [--url <postgres url>] [--to <version>] [--steps <n>]`);
+    process.exit(1);
+  }
+
+  const connectionString = values.url || process.env.DATABASE_URL;
+  if (!connectionString) {
+    console.error('❌ Error: pass --url or set DATABASE_URL in your .env file');
+    process.exit(1);
+  }
+
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+
+  try {
+    const runner = new MigrationRunner(client);
+
+    if (command === 'status') {
+      printStatus(await runner.status());
+      return;
+    }
+
+    if (command === 'up') {
+      const applied = await runner.up({ to: values.to });
+      console.log(applied.length
+        ? `✅ Applied ${applied.join(', ')}`
+        : '✅ Database is up to date');
+      return;
+    }
+
+    const steps = values.steps ? parseInt(values.steps, 10) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error(`❌ Error: invalid --steps value: ${values.steps}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const reverted = await runner.down({ steps, to: values.to });
+    console.log(reverted.length
+      ? `✅ Reverted ${reverted.join(', ')}`
+      : '✅ Nothing to revert');
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
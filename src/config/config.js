@@ -20,15 +20,57 @@ class Config {
       token: process.env.TELEGRAM_BOT_TOKEN,
       webhookUrl: this.getWebhookUrl(),
       operatorUsername: process.env.TELEGRAM_OPERATOR_USERNAME || 'capyoperator',
+      operatorChatId: process.env.TELEGRAM_OPERATOR_CHAT_ID ? Number(process.env.TELEGRAM_OPERATOR_CHAT_ID) : null,
+      operators: this.parseOperators(process.env.TELEGRAM_OPERATORS),
+      operatorGroupId: process.env.TELEGRAM_OPERATOR_GROUP_ID ? Number(process.env.TELEGRAM_OPERATOR_GROUP_ID) : null,
       operatorChatLink: process.env.TELEGRAM_OPERATOR_CHAT_LINK || `https://t.me/${process.env.TELEGRAM_OPERATOR_USERNAME || 'capyoperator'}`,
       operatorTransferMessage: process.env.TELEGRAM_OPERATOR_TRANSFER_MESSAGE || 
-        'Отлично! Передаю вас специалисту, который поможет с оплатой и оформлением документов.'
+        'Отлично! Передаю вас специалисту, который поможет с оплатой и оформлением документов.',
+      // Key signing inline button data, derived from the bot token if not set
+      callbackSecret: process.env.TELEGRAM_CALLBACK_SECRET,
+      // Number split messages with a "(1/3)" footer
+      pageFooter: process.env.TELEGRAM_PAGE_FOOTER === 'true',
+      streaming: {
+        enabled: process.env.TELEGRAM_STREAMING === 'true',
+        // Telegram allows roughly one edit per second per chat
+        editInterval: parseInt(process.env.TELEGRAM_STREAMING_EDIT_INTERVAL || '1200', 10)
+      },
+      // Outbound limits, Telegram allows about 30 messages/s overall, 1/s per chat and 20/min per group
+      rateLimits: {
+        globalPerSecond: parseInt(process.env.TELEGRAM_RATE_LIMIT_GLOBAL || '30', 10),
+        privatePerSecond: parseInt(process.env.TELEGRAM_RATE_LIMIT_PRIVATE || '1', 10),
+        groupPerMinute: parseInt(process.env.TELEGRAM_RATE_LIMIT_GROUP || '20', 10)
+      },
+      // How long update IDs are remembered to skip redelivered updates
+      updateDedupTTL: parseInt(process.env.TELEGRAM_UPDATE_DEDUP_TTL || '86400', 10),
+      // Messages sent in quick succession are answered as one turn, 0 disables
+      debounce: {
+        window: parseInt(process.env.TELEGRAM_DEBOUNCE_WINDOW || '1500', 10),
+        maxWait: parseInt(process.env.TELEGRAM_DEBOUNCE_MAX_WAIT || '8000', 10)
+      }
     };
     
     this.openai = {
       apiKey: process.env.OPENAI_API_KEY,
       assistantId: process.env.ASSISTANT_ID,
-      model: process.env.ASSISTANT_MODEL || 'gpt-4-turbo-preview'
+      model: process.env.ASSISTANT_MODEL || 'gpt-4-turbo-preview',
+      // Point at a mock Assistants API in tests
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+      toolTimeout: parseInt(process.env.OPENAI_TOOL_TIMEOUT || '15000', 10),
+      transcriptionModel: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1'
+    };
+
+    // Photos, documents and voice notes sent by customers
+    this.media = {
+      // The Bot API only serves files up to 20 MB
+      maxFileSize: parseInt(process.env.MEDIA_MAX_FILE_SIZE || String(20 * 1024 * 1024), 10),
+      maxVoiceDuration: parseInt(process.env.MEDIA_MAX_VOICE_DURATION || '300', 10),
+      imageTypes: this.parseList(process.env.MEDIA_IMAGE_TYPES ||
+        'image/jpeg,image/png,image/webp,image/gif'),
+      documentTypes: this.parseList(process.env.MEDIA_DOCUMENT_TYPES ||
+        'application/pdf,text/plain,application/msword,' +
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'),
+      voiceTypes: this.parseList(process.env.MEDIA_VOICE_TYPES || 'audio/ogg,audio/mpeg,audio/mp4')
     };
     
     // Make Redis optional
@@ -38,8 +80,47 @@ class Config {
       retryDelay: 3000
     } : null;
 
-    // Use in-memory storage if Redis is not configured
-    this.useInMemoryStorage = !this.redis;
+    // Single file for storage and database on one-node deployments
+    this.sqlite = {
+      path: process.env.SQLITE_PATH || './data/bot.db',
+      // Seconds between sweeps that delete expired keys
+      sweepInterval: parseInt(process.env.SQLITE_SWEEP_INTERVAL || '60', 10)
+    };
+
+    // Key/value storage for sessions, handoff state and the update queue
+    this.storage = {
+      // 'redis' needs REDIS_URL, 'sqlite' keeps keys in SQLITE_PATH, 'memory' loses them on restart
+      driver: process.env.STORAGE_DRIVER || (this.redis ? 'redis' : 'memory'),
+      redis: this.redis,
+      sqlite: this.sqlite
+    };
+
+    // Session lifecycle
+    this.sessions = {
+      // Start a thread on the first message instead of requiring /start
+      autoCreate: process.env.SESSION_AUTO_CREATE !== 'false',
+      // Reuse the thread stored in the database when the session key has expired
+      restoreFromDatabase: process.env.SESSION_RESTORE_FROM_DB === 'true'
+    };
+
+    // Customer documents kept for operators
+    this.documents = {
+      // 'local' writes to DOCUMENT_STORAGE_PATH, 'supabase' uploads to a Supabase Storage bucket
+      storage: process.env.DOCUMENT_STORAGE || 'local',
+      localPath: process.env.DOCUMENT_STORAGE_PATH || './data/documents',
+      bucket: process.env.DOCUMENT_STORAGE_BUCKET || 'documents'
+    };
+
+    // Durable queue for incoming webhook updates
+    this.queue = {
+      visibilityTimeout: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT || '120000', 10),
+      maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+      retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY || '2000', 10),
+      concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '10', 10)
+    };
+
+    // Use in-memory storage if no other storage is configured
+    this.useInMemoryStorage = this.storage.driver === 'memory';
 
     // Supabase configuration
     this.supabase = {
@@ -47,6 +128,46 @@ class Config {
       key: process.env.SUPABASE_KEY,
       enabled: !!(process.env.SUPABASE_URL && process.env.SUPABASE_KEY)
     };
+
+    // Database for sessions, message logs, instances and logs
+    this.database = {
+      // 'supabase' goes through the Supabase HTTP API, 'postgres' connects to DATABASE_URL directly,
+      // 'sqlite' keeps tables in SQLITE_PATH
+      driver: process.env.DATABASE_DRIVER ||
+        (this.supabase.enabled ? 'supabase' : process.env.DATABASE_URL ? 'postgres' : null),
+      url: process.env.DATABASE_URL,
+      poolSize: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10),
+      supabase: this.supabase,
+      sqlite: this.sqlite
+    };
+  }
+
+  /**
+   * Parse operator registry from "id:role,id:role" list
+   * Entries without a role default to operator
+   * @param {string} value - Raw TELEGRAM_OPERATORS value
+   * @returns {Object<string, string>} - Map of Telegram user ID to role
+   */
+  parseOperators(value) {
+    const operators = {};
+    if (!value) return operators;
+
+    for (const entry of value.split(',')) {
+      const [id, role = 'operator'] = entry.trim().split(':');
+      if (id) {
+        operators[id] = role.trim();
+      }
+    }
+    return operators;
+  }
+
+  /**
+   * Parse comma separated list
+   * @param {string} value - Raw value
+   * @returns {Array<string>} - Trimmed non-empty entries
+   */
+  parseList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
   }
 
   /**
@@ -88,12 +209,24 @@ class Config {
       throw new Error('ASSISTANT_ID is required');
     }
 
-    if (!this.redis) {
+    if (this.storage.driver === 'memory') {
       logger.warn('REDIS_URL not set, using in-memory storage (not recommended for production)');
     }
 
-    if (!this.supabase.enabled) {
-      logger.warn('Supabase not configured, message logging will be disabled');
+    if (this.storage.driver === 'redis' && !this.redis) {
+      throw new Error('REDIS_URL is required for the redis storage driver');
+    }
+
+    if (!this.database.driver) {
+      logger.warn('Database not configured, message logging will be disabled');
+    }
+
+    if (this.database.driver === 'postgres' && !this.database.url) {
+      throw new Error('DATABASE_URL is required for the postgres database driver');
+    }
+
+    if (this.database.driver === 'supabase' && !this.supabase.enabled) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY are required for the supabase database driver');
     }
     
     // Log warnings for optional configs
@@ -105,12 +238,16 @@ class Config {
       logger.warn('TELEGRAM_OPERATOR_CHAT_LINK not set, using default t.me link');
     }
 
+    if (!this.telegram.operatorChatId) {
+      logger.warn('TELEGRAM_OPERATOR_CHAT_ID not set, handoff messages only reach the operator who took the chat');
+    }
+
     logger.info('Configuration validated successfully', {
       hasToken: !!this.telegram.token,
       hasOpenAIKey: !!this.openai.apiKey,
       hasAssistantId: !!this.openai.assistantId,
-      storage: this.redis ? 'redis' : 'memory',
-      database: this.supabase.enabled ? 'supabase' : 'disabled',
+      storage: this.storage.driver,
+      database: this.database.driver || 'disabled',
       model: this.openai.model,
       webhookUrl: this.telegram.webhookUrl
     });
@@ -1,9 +1,15 @@
+-- Reference snapshot of the schema after all migrations in src/db/migrations
+-- Change the schema by adding a migration there and running `npm run migrate up`, then update this file
+
 -- Sessions table to store user sessions
 CREATE TABLE IF NOT EXISTS sessions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   chat_id BIGINT UNIQUE NOT NULL,
   thread_id TEXT NOT NULL,
   human_handoff BOOLEAN DEFAULT FALSE,
+  transferred_to_operator BOOLEAN DEFAULT FALSE,
+  operator_transfer_time TIMESTAMP WITH TIME ZONE,
+  start_payload TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -15,18 +21,127 @@ CREATE INDEX IF NOT EXISTS sessions_chat_id_idx ON sessions(chat_id);
 CREATE TABLE IF NOT EXISTS message_logs (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   chat_id BIGINT NOT NULL,
-  role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'operator', 'system')),
   content TEXT NOT NULL,
+  thread_id TEXT,
+  -- Assistant run that produced the reply
+  run_id TEXT,
+  -- Telegram messages the entry covers, several for merged user turns or split replies
+  telegram_message_ids BIGINT[],
+  operator_id BIGINT,
+  -- Milliseconds from handling the user turn to the reply
+  latency_ms INTEGER,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create index on chat_id for faster lookups
 CREATE INDEX IF NOT EXISTS message_logs_chat_id_idx ON message_logs(chat_id);
 
+-- Tool calls made by the assistant during runs
+CREATE TABLE IF NOT EXISTS tool_calls (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT,
+  thread_id TEXT,
+  run_id TEXT,
+  tool_name TEXT NOT NULL,
+  arguments JSONB,
+  output JSONB,
+  status TEXT NOT NULL CHECK (status IN ('success', 'error', 'invalid', 'timeout', 'unknown')),
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on chat_id for faster lookups
+CREATE INDEX IF NOT EXISTS tool_calls_chat_id_idx ON tool_calls(chat_id);
+
+-- Threads users closed with /reset or /end
+CREATE TABLE IF NOT EXISTS archived_threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('reset', 'end')),
+  started_at TIMESTAMP WITH TIME ZONE,
+  archived_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on chat_id for faster lookups
+CREATE INDEX IF NOT EXISTS archived_threads_chat_id_idx ON archived_threads(chat_id);
+
+-- Photos and documents customers sent, the files live in the configured blob store
+CREATE TABLE IF NOT EXISTS documents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- Chat of the session (sessions.chat_id), documents are kept after the session ends
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT,
+  message_id BIGINT,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'document')),
+  file_name TEXT NOT NULL,
+  mime_type TEXT,
+  size INTEGER,
+  storage TEXT NOT NULL CHECK (storage IN ('local', 'supabase')),
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on chat_id for faster lookups
+CREATE INDEX IF NOT EXISTS documents_chat_id_idx ON documents(chat_id);
+
+-- Deep-link /start payloads mapped to campaigns
+CREATE TABLE IF NOT EXISTS campaigns (
+  payload TEXT PRIMARY KEY,
+  campaign TEXT NOT NULL,
+  -- First message sent instead of the default welcome
+  greeting TEXT,
+  -- Additional instructions for the assistant in sessions of this campaign
+  context TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sessions started from a deep link, one row per /start
+CREATE TABLE IF NOT EXISTS campaign_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT,
+  payload TEXT NOT NULL,
+  campaign TEXT NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  transferred_at TIMESTAMP WITH TIME ZONE,
+  converted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for per-chat updates and per-campaign reports
+CREATE INDEX IF NOT EXISTS campaign_sessions_chat_id_idx ON campaign_sessions(chat_id);
+CREATE INDEX IF NOT EXISTS campaign_sessions_campaign_idx ON campaign_sessions(campaign);
+
+-- Sessions, transfers and conversions per campaign
+CREATE OR REPLACE VIEW campaign_report AS
+SELECT
+  campaign,
+  COUNT(*) AS sessions,
+  COUNT(transferred_at) AS transfers,
+  COUNT(converted_at) AS conversions,
+  MIN(started_at) AS first_session_at,
+  MAX(started_at) AS last_session_at
+FROM campaign_sessions
+GROUP BY campaign;
+
+-- Operators allowed to run admin commands
+CREATE TABLE IF NOT EXISTS operators (
+  telegram_id BIGINT PRIMARY KEY,
+  role TEXT NOT NULL DEFAULT 'operator' CHECK (role IN ('operator', 'supervisor', 'admin')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Row-Level Security (RLS) policies
 -- In a production app, you'd configure more restrictive policies
 ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE operators ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tool_calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE archived_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_sessions ENABLE ROW LEVEL SECURITY;
 
 -- Create policy for authenticated access
 CREATE POLICY "Allow authenticated access to sessions" 
@@ -35,4 +150,28 @@ CREATE POLICY "Allow authenticated access to sessions"
 
 CREATE POLICY "Allow authenticated access to message_logs" 
   ON message_logs FOR ALL 
-  USING (auth.role() = 'authenticated'); 
\ No newline at end of file
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to operators" 
+  ON operators FOR ALL 
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to tool_calls" 
+  ON tool_calls FOR ALL 
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to archived_threads" 
+  ON archived_threads FOR ALL 
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to campaigns" 
+  ON campaigns FOR ALL 
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to campaign_sessions" 
+  ON campaign_sessions FOR ALL 
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Allow authenticated access to documents" 
+  ON documents FOR ALL 
+  USING (auth.role() = 'authenticated');
@@ -5,30 +5,40 @@
 import { logger } from '../utils/logger.js';
 
 export class WebhookController {
-  constructor(botService) {
+  constructor(botService, updateQueue) {
     this.botService = botService;
+    this.updateQueue = updateQueue;
   }
 
   /**
    * Handle incoming webhook updates
+   * Updates are only enqueued here, the job queue worker processes them
+   * If the update cannot be enqueued this answers 503 and rethrows, so the caller's
+   * storage circuit breaker sees the failure
    */
   async handleUpdate(req, res) {
-    try {
-      const update = req.body;
-      
-      if (!this.isValidUpdate(update)) {
-        logger.warn('Invalid webhook data received');
-        return res.status(400).json({ error: 'Invalid update format' });
-      }
+    const update = req.body;
+
+    if (!this.isValidUpdate(update)) {
+      logger.warn('Invalid webhook data received');
+      return res.status(400).json({ error: 'Invalid update format' });
+    }
 
-      logger.info('Processing update:', this.formatUpdateLog(update));
+    // Telegram redelivers updates when the endpoint is slow
+    if (await this.botService.isDuplicateUpdate(update)) {
+      return res.sendStatus(200);
+    }
 
-      await this.botService.getBot().handleUpdate(update);
+    try {
+      const jobId = await this.updateQueue.enqueue(update);
+      logger.info('Update enqueued:', { ...this.formatUpdateLog(update), jobId });
       res.sendStatus(200);
     } catch (error) {
-      logger.error('Webhook processing failed:', error);
-      // Always return 200 to Telegram to prevent retries
-      res.sendStatus(200);
+      logger.error('Failed to enqueue update:', error);
+      await this.botService.forgetUpdate(update);
+      // Telegram redelivers the update when it does not get a 2xx response
+      res.status(503).json({ error: 'Update queue unavailable' });
+      throw error;
     }
   }
 
@@ -0,0 +1,238 @@
+/**
+ * Versioned database migrations
+ * Migrations are numbered SQL files in src/db/migrations, NNNN_name.up.sql with a matching
+ * NNNN_name.down.sql. Applied versions are recorded in the schema_migrations table.
+ */
+
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const FILE_REGEX = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key of the advisory lock that keeps two runners from migrating at once
+const LOCK_KEY = 726354;
+
+export class MigrationRunner {
+  /**
+   * @param {pg.Client} client - Connected Postgres client
+   * @param {object} options - Runner options
+   * @param {string} options.directory - Directory with migration files
+   * @param {string} options.table - Table recording applied migrations
+   */
+  constructor(client, { directory = MIGRATIONS_DIR, table = 'schema_migrations' } = {}) {
+    if (!client) {
+      throw new Error('Database client is required for MigrationRunner');
+    }
+
+    this.client = client;
+    this.directory = directory;
+    this.table = table;
+  }
+
+  /**
+   * Read migration files, ordered by version
+   * @returns {Promise<Array<object>>} - [{ version, name, up, down, checksum }]
+   */
+  async loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of (await readdir(this.directory)).sort()) {
+      const match = FILE_REGEX.exec(file);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name };
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+      }
+
+      migration[direction] = await readFile(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values()).map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+      }
+      return {
+        ...migration,
+        checksum: createHash('sha256').update(migration.up).digest('hex')
+      };
+    });
+  }
+
+  /**
+   * Normalize a target version, e.g. '3' to '0003'
+   * 0 stands for the state before the first migration
+   * @param {Array<object>} migrations - Migrations from loadMigrations
+   * @param {string|number} to - Requested version
+   * @returns {string} - Four digit version
+   * @throws {Error} If the version is not a number or no migration has it
+   */
+  resolveVersion(migrations, to) {
+    if (!/^\d+$/.test(String(to))) {
+      throw new Error(`Invalid migration version: ${to}`);
+    }
+
+    const version = String(Number(to)).padStart(4, '0');
+    if (version !== '0000' && !migrations.some(migration => migration.version === version)) {
+      throw new Error(`Unknown migration version: ${to}`);
+    }
+    return version;
+  }
+
+  async ensureTable() {
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Get applied migrations
+   * @returns {Promise<Map<string, object>>} - Rows of the migrations table by version
+   */
+  async getApplied() {
+    await this.ensureTable();
+    const { rows } = await this.client.query(`SELECT * FROM ${this.table} ORDER BY version`);
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Compare migration files with the database
+   * @returns {Promise<Array<object>>} - [{ version, name, applied, appliedAt, changed, missing }]
+   *   changed: the up file was edited after it was applied, missing: applied but no file exists
+   */
+  async status() {
+    const migrations = await this.loadMigrations();
+    const applied = await this.getApplied();
+
+    const status = migrations.map(({ version, name, checksum }) => {
+      const row = applied.get(version);
+      return {
+        version,
+        name,
+        applied: !!row,
+        appliedAt: row?.applied_at || null,
+        changed: !!row && row.checksum !== checksum,
+        missing: false
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some(({ version }) => version === row.version)) {
+        status.push({
+          version: row.version,
+          name: row.name,
+          applied: true,
+          appliedAt: row.applied_at,
+          changed: false,
+          missing: true
+        });
+      }
+    }
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {object} options - Options
+   * @param {string|number} options.to - Last version to apply, all pending by default
+   * @returns {Promise<Array<string>>} - Applied versions
+   */
+  async up({ to = null } = {}) {
+    return this.withLock(async () => {
+      const migrations = await this.loadMigrations();
+      const target = to === null || to === undefined ? null : this.resolveVersion(migrations, to);
+      const applied = await this.getApplied();
+
+      const pending = migrations.filter(({ version }) => !applied.has(version) && (!target || version <= target));
+      for (const migration of pending) {
+        await this.apply(migration, 'up');
+      }
+
+      return pending.map(({ version }) => version);
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {object} options - Options
+   * @param {number} options.steps - Number of migrations to revert
+   * @param {string|number} options.to - Revert everything after this version, 0 reverts all, overrides steps
+   * @returns {Promise<Array<string>>} - Reverted versions
+   */
+  async down({ steps = 1, to = null } = {}) {
+    return this.withLock(async () => {
+      const migrations = await this.loadMigrations();
+      const target = to === null || to === undefined ? null : this.resolveVersion(migrations, to);
+      const applied = await this.getApplied();
+
+      const revertible = migrations.filter(({ version }) => applied.has(version)).reverse();
+      const selected = target
+        ? revertible.filter(({ version }) => version > target)
+        : revertible.slice(0, steps);
+
+      for (const migration of selected) {
+        await this.apply(migration, 'down');
+      }
+
+      return selected.map(({ version }) => version);
+    });
+  }
+
+  /**
+   * Run one migration and record it in a single transaction
+   * @param {object} migration - Migration from loadMigrations
+   * @param {string} direction - 'up' or 'down'
+   */
+  async apply(migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    const startTime = Date.now();
+
+    await this.client.query('BEGIN');
+    try {
+      await this.client.query(migration[direction]);
+
+      if (direction === 'up') {
+        await this.client.query(
+          `INSERT INTO ${this.table} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await this.client.query(`DELETE FROM ${this.table} WHERE version = $1`, [migration.version]);
+      }
+
+      await this.client.query('COMMIT');
+    } catch (error) {
+      await this.client.query('ROLLBACK');
+      throw new Error(`Migration ${label} ${direction} failed: ${error.message}`);
+    }
+
+    logger.info('Migration applied', { migration: label, direction, durationMs: Date.now() - startTime });
+  }
+
+  /**
+   * Run callback while holding the migration lock
+   * @param {Function} callback - async () => result
+   * @returns {Promise} - Callback result
+   */
+  async withLock(callback) {
+    await this.client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await callback();
+    } finally {
+      await this.client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Postgres repository
+ * Reaches the tables of src/db/migrations over a direct connection, without Supabase
+ */
+
+import pg from 'pg';
+import { logger } from '../utils/logger.js';
+
+const BIGINT = 20;
+const BIGINT_ARRAY = 1016;
+const TIMESTAMP = 1114;
+const TIMESTAMPTZ = 1184;
+
+// Parse rows into the shapes the Supabase API returns: numbers for BIGINT
+// (Telegram IDs fit in a double) and ISO strings for timestamps
+const PARSERS = {
+  [BIGINT]: Number,
+  [BIGINT_ARRAY]: value => pg.types.getTypeParser(BIGINT_ARRAY)(value).map(item => item === null ? null : Number(item)),
+  [TIMESTAMP]: value => pg.types.getTypeParser(TIMESTAMP)(value).toISOString(),
+  [TIMESTAMPTZ]: value => pg.types.getTypeParser(TIMESTAMPTZ)(value).toISOString()
+};
+
+const TYPES = {
+  getTypeParser: (oid, format) => PARSERS[oid] || pg.types.getTypeParser(oid, format)
+};
+
+// JSONB columns, values are serialized so strings and arrays are stored as JSON too
+const JSON_COLUMNS = ['arguments', 'output', 'metadata'];
+
+const SESSION_COLUMNS = [
+  'thread_id', 'human_handoff', 'start_payload', 'transferred_to_operator',
+  'operator_transfer_time', 'updated_at'
+];
+
+const CAMPAIGN_EVENTS = ['transferred', 'converted'];
+
+/**
+ * Build an INSERT statement from a row
+ * Column names come from code, never from user input
+ * @param {string} table - Table name
+ * @param {object} row - Column values
+ * @returns {{text: string, values: Array}} - Query
+ */
+const buildInsert = (table, row) => {
+  const columns = Object.keys(row);
+  const values = columns.map(column => JSON_COLUMNS.includes(column) && row[column] !== undefined
+    ? JSON.stringify(row[column])
+    : row[column]);
+  const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+  return {
+    text: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+    values
+  };
+};
+
+export class PostgresRepository {
+  /**
+   * @param {object} options - Repository options
+   * @param {string} options.url - Postgres connection string
+   * @param {number} options.poolSize - Maximum number of pooled connections
+   */
+  constructor({ url, poolSize = 10 }) {
+    if (!url) {
+      throw new Error('DATABASE_URL is required for PostgresRepository');
+    }
+
+    this.driver = 'postgres';
+    this.pool = new pg.Pool({ connectionString: url, max: poolSize, types: TYPES });
+
+    // Idle clients can lose their connection, without a listener that crashes the process
+    this.pool.on('error', error => {
+      logger.error('Postgres pool error', error);
+    });
+  }
+
+  async query(text, values = []) {
+    const { rows } = await this.pool.query(text, values);
+    return rows;
+  }
+
+  async insert(table, row) {
+    const { text, values } = buildInsert(table, row);
+    await this.query(text, values);
+  }
+
+  async ping() {
+    await this.query('SELECT 1');
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async upsertSession(session) {
+    const { text, values } = buildInsert('sessions', session);
+    const updates = Object.keys(session)
+      .filter(column => column !== 'chat_id')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    await this.query(`${text} ON CONFLICT (chat_id) DO UPDATE SET ${updates.join(', ')}`, values);
+  }
+
+  async getSession(chatId) {
+    const [session] = await this.query('SELECT * FROM sessions WHERE chat_id = $1', [chatId]);
+    return session || null;
+  }
+
+  async updateSession(chatId, fields) {
+    const columns = Object.keys(fields);
+    const unknown = columns.filter(column => !SESSION_COLUMNS.includes(column));
+    if (unknown.length) {
+      throw new Error(`Unknown session columns: ${unknown.join(', ')}`);
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    await this.query(
+      `UPDATE sessions SET ${assignments.join(', ')} WHERE chat_id = $1`,
+      [chatId, ...columns.map(column => fields[column])]
+    );
+  }
+
+  async deleteSession(chatId) {
+    await this.query('DELETE FROM sessions WHERE chat_id = $1', [chatId]);
+  }
+
+  async getSessions() {
+    return this.query('SELECT * FROM sessions ORDER BY updated_at DESC');
+  }
+
+  async insertArchivedThread(thread) {
+    await this.insert('archived_threads', thread);
+  }
+
+  async insertMessage(message) {
+    await this.insert('message_logs', message);
+  }
+
+  async getMessages(chatId, limit) {
+    const rows = await this.query(
+      'SELECT * FROM message_logs WHERE chat_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [chatId, limit]
+    );
+    return rows.reverse();
+  }
+
+  async insertDocument(document) {
+    const { text, values } = buildInsert('documents', document);
+    const [row] = await this.query(`${text} RETURNING *`, values);
+    return row;
+  }
+
+  async getDocuments(chatId, limit) {
+    const rows = await this.query(
+      'SELECT * FROM documents WHERE chat_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [chatId, limit]
+    );
+    return rows.reverse();
+  }
+
+  async getOperator(telegramId) {
+    const [operator] = await this.query('SELECT * FROM operators WHERE telegram_id = $1', [telegramId]);
+    return operator || null;
+  }
+
+  async insertToolCall(call) {
+    await this.insert('tool_calls', call);
+  }
+
+  async getCampaign(payload) {
+    const [campaign] = await this.query('SELECT * FROM campaigns WHERE payload = $1', [payload]);
+    return campaign || null;
+  }
+
+  async insertCampaignSession(session) {
+    await this.insert('campaign_sessions', session);
+  }
+
+  async markCampaignSession(chatId, event) {
+    if (!CAMPAIGN_EVENTS.includes(event)) {
+      throw new Error(`Unknown campaign event: ${event}`);
+    }
+
+    const column = `${event}_at`;
+    const rows = await this.query(`
+      UPDATE campaign_sessions SET ${column} = NOW()
+      WHERE id = (
+        SELECT id FROM campaign_sessions
+        WHERE chat_id = $1 AND ${column} IS NULL
+        ORDER BY started_at DESC
+        LIMIT 1
+      )
+      RETURNING id
+    `, [chatId]);
+
+    return rows.length > 0;
+  }
+
+  async getCampaignReport() {
+    return this.query('SELECT * FROM campaign_report ORDER BY sessions DESC');
+  }
+
+  async insertInstance(instance) {
+    await this.insert('bot_instances', instance);
+  }
+
+  async getInstances() {
+    return this.query('SELECT * FROM bot_instances ORDER BY started_at DESC');
+  }
+
+  async touchInstance(instanceId) {
+    await this.query('UPDATE bot_instances SET last_heartbeat = NOW() WHERE instance_id = $1', [instanceId]);
+  }
+
+  async deleteInstance(instanceId) {
+    await this.query('DELETE FROM bot_instances WHERE instance_id = $1', [instanceId]);
+  }
+
+  async deleteHostInstances(hostname) {
+    await this.query('DELETE FROM bot_instances WHERE hostname = $1', [hostname]);
+  }
+
+  async deleteStaleInstances(before) {
+    await this.query('DELETE FROM bot_instances WHERE last_heartbeat < $1', [before]);
+  }
+
+  async insertLog(entry) {
+    await this.insert('logs', entry);
+  }
+
+  async getLogs({ level = null, limit = 100 } = {}) {
+    return level
+      ? this.query('SELECT * FROM logs WHERE level = $1 ORDER BY created_at DESC LIMIT $2', [level, limit])
+      : this.query('SELECT * FROM logs ORDER BY created_at DESC LIMIT $1', [limit]);
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * SQLite repository
+ * Keeps its tables in a local file for single-node deployments, migrated on start
+ * from src/db/sqlite/migrations/repository
+ */
+
+import crypto from 'crypto';
+import { openDatabase } from './sqlite/openDatabase.js';
+import { migrateSqlite } from './sqlite/migrate.js';
+
+// Tables with a generated UUID primary key
+const ID_TABLES = [
+  'sessions', 'message_logs', 'tool_calls', 'logs', 'archived_threads', 'campaign_sessions', 'documents'
+];
+
+// SQLite has no BOOLEAN or JSON types, these columns are converted on the way in and out
+const BOOLEAN_COLUMNS = ['human_handoff', 'transferred_to_operator'];
+const JSON_COLUMNS = ['arguments', 'output', 'metadata', 'telegram_message_ids'];
+
+const SESSION_COLUMNS = [
+  'thread_id', 'human_handoff', 'start_payload', 'transferred_to_operator',
+  'operator_transfer_time', 'updated_at'
+];
+
+const CAMPAIGN_EVENTS = ['transferred', 'converted'];
+
+/**
+ * Convert a value to something better-sqlite3 can bind
+ * @param {string} column - Column name
+ * @param {*} value - Value
+ * @returns {*} - Bindable value
+ */
+const toSqlite = (column, value) => {
+  if (value === undefined || value === null) return null;
+  if (JSON_COLUMNS.includes(column)) return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Convert a row to the shapes the other repositories return
+ * @param {object} row - Row from better-sqlite3
+ * @returns {object|null} - Row
+ */
+const fromSqlite = (row) => {
+  if (!row) return null;
+
+  for (const column of BOOLEAN_COLUMNS) {
+    if (row[column] !== undefined && row[column] !== null) {
+      row[column] = row[column] === 1;
+    }
+  }
+  for (const column of JSON_COLUMNS) {
+    if (typeof row[column] === 'string') {
+      row[column] = JSON.parse(row[column]);
+    }
+  }
+  return row;
+};
+
+export class SqliteRepository {
+  /**
+   * @param {object} options - Repository options
+   * @param {string} options.path - Database file, may be shared with SqliteStorage
+   */
+  constructor({ path: filename }) {
+    if (!filename) {
+      throw new Error('SQLITE_PATH is required for SqliteRepository');
+    }
+
+    this.driver = 'sqlite';
+    this.db = openDatabase(filename);
+    migrateSqlite(this.db, 'repository');
+  }
+
+  all(sql, values = []) {
+    return this.db.prepare(sql).all(values).map(fromSqlite);
+  }
+
+  get(sql, values = []) {
+    return fromSqlite(this.db.prepare(sql).get(values));
+  }
+
+  run(sql, values = []) {
+    return this.db.prepare(sql).run(values);
+  }
+
+  /**
+   * Build an INSERT statement from a row
+   * Column names come from code, never from user input
+   * @param {string} table - Table name
+   * @param {object} row - Column values
+   * @returns {{sql: string, values: Array}} - Statement
+   */
+  buildInsert(table, row) {
+    const fields = ID_TABLES.includes(table) && !row.id
+      ? { id: crypto.randomUUID(), ...row }
+      : row;
+    const columns = Object.keys(fields);
+
+    return {
+      sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values: columns.map(column => toSqlite(column, fields[column]))
+    };
+  }
+
+  insert(table, row) {
+    const { sql, values } = this.buildInsert(table, row);
+    this.run(sql, values);
+  }
+
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  async upsertSession(session) {
+    const { sql, values } = this.buildInsert('sessions', session);
+    const updates = Object.keys(session)
+      .filter(column => column !== 'chat_id')
+      .map(column => `${column} = excluded.${column}`);
+
+    this.run(`${sql} ON CONFLICT (chat_id) DO UPDATE SET ${updates.join(', ')}`, values);
+  }
+
+  async getSession(chatId) {
+    return this.get('SELECT * FROM sessions WHERE chat_id = ?', [chatId]);
+  }
+
+  async updateSession(chatId, fields) {
+    const columns = Object.keys(fields);
+    const unknown = columns.filter(column => !SESSION_COLUMNS.includes(column));
+    if (unknown.length) {
+      throw new Error(`Unknown session columns: ${unknown.join(', ')}`);
+    }
+
+    this.run(
+      `UPDATE sessions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE chat_id = ?`,
+      [...columns.map(column => toSqlite(column, fields[column])), chatId]
+    );
+  }
+
+  async deleteSession(chatId) {
+    this.run('DELETE FROM sessions WHERE chat_id = ?', [chatId]);
+  }
+
+  async getSessions() {
+    return this.all('SELECT * FROM sessions ORDER BY updated_at DESC');
+  }
+
+  async insertArchivedThread(thread) {
+    this.insert('archived_threads', thread);
+  }
+
+  async insertMessage(message) {
+    this.insert('message_logs', message);
+  }
+
+  async getMessages(chatId, limit) {
+    // Timestamps have millisecond precision, rowid keeps the insert order of ties
+    return this.all(
+      'SELECT * FROM message_logs WHERE chat_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?',
+      [chatId, limit]
+    ).reverse();
+  }
+
+  async insertDocument(document) {
+    const { sql, values } = this.buildInsert('documents', document);
+    return this.get(`${sql} RETURNING *`, values);
+  }
+
+  async getDocuments(chatId, limit) {
+    return this.all(
+      'SELECT * FROM documents WHERE chat_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?',
+      [chatId, limit]
+    ).reverse();
+  }
+
+  async getOperator(telegramId) {
+    return this.get('SELECT * FROM operators WHERE telegram_id = ?', [telegramId]);
+  }
+
+  async insertToolCall(call) {
+    this.insert('tool_calls', call);
+  }
+
+  async getCampaign(payload) {
+    return this.get('SELECT * FROM campaigns WHERE payload = ?', [payload]);
+  }
+
+  async insertCampaignSession(session) {
+    this.insert('campaign_sessions', session);
+  }
+
+  async markCampaignSession(chatId, event) {
+    if (!CAMPAIGN_EVENTS.includes(event)) {
+      throw new Error(`Unknown campaign event: ${event}`);
+    }
+
+    const column = `${event}_at`;
+    const { changes } = this.run(`
+      UPDATE campaign_sessions SET ${column} = ?
+      WHERE id = (
+        SELECT id FROM campaign_sessions
+        WHERE chat_id = ? AND ${column} IS NULL
+        ORDER BY started_at DESC, rowid DESC
+        LIMIT 1
+      )
+    `, [new Date().toISOString(), chatId]);
+
+    return changes > 0;
+  }
+
+  async getCampaignReport() {
+    return this.all('SELECT * FROM campaign_report ORDER BY sessions DESC');
+  }
+
+  async insertInstance(instance) {
+    this.insert('bot_instances', instance);
+  }
+
+  async getInstances() {
+    return this.all('SELECT * FROM bot_instances ORDER BY started_at DESC');
+  }
+
+  async touchInstance(instanceId) {
+    this.run('UPDATE bot_instances SET last_heartbeat = ? WHERE instance_id = ?', [new Date().toISOString(), instanceId]);
+  }
+
+  async deleteInstance(instanceId) {
+    this.run('DELETE FROM bot_instances WHERE instance_id = ?', [instanceId]);
+  }
+
+  async deleteHostInstances(hostname) {
+    this.run('DELETE FROM bot_instances WHERE hostname = ?', [hostname]);
+  }
+
+  async deleteStaleInstances(before) {
+    this.run('DELETE FROM bot_instances WHERE last_heartbeat < ?', [before.toISOString()]);
+  }
+
+  async insertLog(entry) {
+    this.insert('logs', entry);
+  }
+
+  async getLogs({ level = null, limit = 100 } = {}) {
+    return level
+      ? this.all('SELECT * FROM logs WHERE level = ? ORDER BY created_at DESC, rowid DESC LIMIT ?', [level, limit])
+      : this.all('SELECT * FROM logs ORDER BY created_at DESC, rowid DESC LIMIT ?', [limit]);
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Supabase repository
+ * Reaches the tables of src/db/migrations through the Supabase HTTP API
+ */
+
+import pkg from '@supabase/supabase-js';
+const { createClient } = pkg;
+
+// PostgREST error code of .single() without a matching row
+const NOT_FOUND = 'PGRST116';
+
+export class SupabaseRepository {
+  /**
+   * @param {object} options - Repository options
+   * @param {string} options.url - Supabase project URL
+   * @param {string} options.key - Supabase API key
+   */
+  constructor({ url, key }) {
+    if (!url || !key) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY are required for SupabaseRepository');
+    }
+
+    this.driver = 'supabase';
+    this.supabase = createClient(url, key);
+  }
+
+  async ping() {
+    const { error } = await this.supabase
+      .from('sessions')
+      .select('chat_id', { head: true })
+      .limit(1);
+
+    if (error) throw error;
+  }
+
+  async close() {
+    // The HTTP client keeps no connections open
+  }
+
+  /**
+   * Get a single row, null if nothing matches
+   * @param {PostgrestBuilder} query - Query ending with .single()
+   * @returns {Promise<Object|null>} - Row
+   */
+  async single(query) {
+    const { data, error } = await query;
+
+    if (error) {
+      if (error.code === NOT_FOUND) return null;
+      throw error;
+    }
+    return data;
+  }
+
+  async upsertSession(session) {
+    const { error } = await this.supabase
+      .from('sessions')
+      .upsert(session, { onConflict: 'chat_id' });
+
+    if (error) throw error;
+  }
+
+  async getSession(chatId) {
+    return this.single(this.supabase
+      .from('sessions')
+      .select('*')
+      .eq('chat_id', chatId)
+      .single());
+  }
+
+  async updateSession(chatId, fields) {
+    const { error } = await this.supabase
+      .from('sessions')
+      .update(fields)
+      .eq('chat_id', chatId);
+
+    if (error) throw error;
+  }
+
+  async deleteSession(chatId) {
+    const { error } = await this.supabase
+      .from('sessions')
+      .delete()
+      .eq('chat_id', chatId);
+
+    if (error) throw error;
+  }
+
+  async getSessions() {
+    const { data, error } = await this.supabase
+      .from('sessions')
+      .select('*')
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async insertArchivedThread(thread) {
+    const { error } = await this.supabase
+      .from('archived_threads')
+      .insert(thread);
+
+    if (error) throw error;
+  }
+
+  async insertMessage(message) {
+    const { error } = await this.supabase
+      .from('message_logs')
+      .insert(message);
+
+    if (error) throw error;
+  }
+
+  async getMessages(chatId, limit) {
+    const { data, error } = await this.supabase
+      .from('message_logs')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data.reverse();
+  }
+
+  async insertDocument(document) {
+    const { data, error } = await this.supabase
+      .from('documents')
+      .insert(document)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getDocuments(chatId, limit) {
+    const { data, error } = await this.supabase
+      .from('documents')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data.reverse();
+  }
+
+  async getOperator(telegramId) {
+    return this.single(this.supabase
+      .from('operators')
+      .select('*')
+      .eq('telegram_id', telegramId)
+      .single());
+  }
+
+  async insertToolCall(call) {
+    const { error } = await this.supabase
+      .from('tool_calls')
+      .insert(call);
+
+    if (error) throw error;
+  }
+
+  async getCampaign(payload) {
+    return this.single(this.supabase
+      .from('campaigns')
+      .select('*')
+      .eq('payload', payload)
+      .single());
+  }
+
+  async insertCampaignSession(session) {
+    const { error } = await this.supabase
+      .from('campaign_sessions')
+      .insert(session);
+
+    if (error) throw error;
+  }
+
+  async markCampaignSession(chatId, event) {
+    const column = `${event}_at`;
+
+    const { data, error } = await this.supabase
+      .from('campaign_sessions')
+      .select('id')
+      .eq('chat_id', chatId)
+      .is(column, null)
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data?.length) return false;
+
+    const { error: updateError } = await this.supabase
+      .from('campaign_sessions')
+      .update({ [column]: new Date().toISOString() })
+      .eq('id', data[0].id);
+
+    if (updateError) throw updateError;
+    return true;
+  }
+
+  async getCampaignReport() {
+    const { data, error } = await this.supabase
+      .from('campaign_report')
+      .select('*')
+      .order('sessions', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async insertInstance(instance) {
+    const { error } = await this.supabase
+      .from('bot_instances')
+      .insert(instance);
+
+    if (error) throw error;
+  }
+
+  async getInstances() {
+    const { data, error } = await this.supabase
+      .from('bot_instances')
+      .select('*')
+      .order('started_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async touchInstance(instanceId) {
+    const { error } = await this.supabase
+      .from('bot_instances')
+      .update({ last_heartbeat: new Date().toISOString() })
+      .eq('instance_id', instanceId);
+
+    if (error) throw error;
+  }
+
+  async deleteInstance(instanceId) {
+    const { error } = await this.supabase
+      .from('bot_instances')
+      .delete()
+      .eq('instance_id', instanceId);
+
+    if (error) throw error;
+  }
+
+  async deleteHostInstances(hostname) {
+    const { error } = await this.supabase
+      .from('bot_instances')
+      .delete()
+      .eq('hostname', hostname);
+
+    if (error) throw error;
+  }
+
+  async deleteStaleInstances(before) {
+    const { error } = await this.supabase
+      .from('bot_instances')
+      .delete()
+      .lt('last_heartbeat', before.toISOString());
+
+    if (error) throw error;
+  }
+
+  async insertLog(entry) {
+    const { error } = await this.supabase
+      .from('logs')
+      .insert(entry);
+
+    if (error) throw error;
+  }
+
+  async getLogs({ level = null, limit = 100 } = {}) {
+    let query = this.supabase
+      .from('logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (level) {
+      query = query.eq('level', level);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+}
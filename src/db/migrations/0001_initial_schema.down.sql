@@ -0,0 +1,7 @@
+DROP FUNCTION IF EXISTS allow_authenticated_access(TEXT);
+DROP TABLE IF EXISTS logs;
+DROP TABLE IF EXISTS bot_instances;
+DROP TABLE IF EXISTS operators;
+DROP TABLE IF EXISTS tool_calls;
+DROP TABLE IF EXISTS message_logs;
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,95 @@
+-- Tables the bot started with
+-- Every statement is idempotent, so databases set up from schema.sql can adopt migrations
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Sessions table to store user sessions
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT UNIQUE NOT NULL,
+  thread_id TEXT NOT NULL,
+  human_handoff BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sessions_chat_id_idx ON sessions(chat_id);
+
+-- Message logs table to store conversation history
+CREATE TABLE IF NOT EXISTS message_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS message_logs_chat_id_idx ON message_logs(chat_id);
+
+-- Tool calls made by the assistant during runs
+CREATE TABLE IF NOT EXISTS tool_calls (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT,
+  thread_id TEXT,
+  run_id TEXT,
+  tool_name TEXT NOT NULL,
+  arguments JSONB,
+  output JSONB,
+  status TEXT NOT NULL CHECK (status IN ('success', 'error', 'invalid', 'timeout', 'unknown')),
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tool_calls_chat_id_idx ON tool_calls(chat_id);
+
+-- Operators allowed to run admin commands
+CREATE TABLE IF NOT EXISTS operators (
+  telegram_id BIGINT PRIMARY KEY,
+  role TEXT NOT NULL DEFAULT 'operator' CHECK (role IN ('operator', 'supervisor', 'admin')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Running bot instances, see src/utils/instanceManager.js
+CREATE TABLE IF NOT EXISTS bot_instances (
+  instance_id UUID PRIMARY KEY,
+  hostname TEXT NOT NULL,
+  last_heartbeat TIMESTAMPTZ NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_instances_heartbeat ON bot_instances(last_heartbeat);
+
+-- Persistent logs, see src/utils/logger.js
+CREATE TABLE IF NOT EXISTS logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  level TEXT NOT NULL,
+  message TEXT NOT NULL,
+  error_message TEXT,
+  error_stack TEXT,
+  metadata JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_logs_level ON logs(level);
+CREATE INDEX IF NOT EXISTS idx_logs_created_at ON logs(created_at);
+
+-- Enable RLS with access for authenticated Supabase users
+-- Plain Postgres has no auth schema, there the table is left as is
+CREATE OR REPLACE FUNCTION allow_authenticated_access(table_name TEXT) RETURNS VOID AS $$
+BEGIN
+  IF to_regnamespace('auth') IS NULL THEN
+    RETURN;
+  END IF;
+
+  EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', table_name);
+  EXECUTE format('DROP POLICY IF EXISTS %I ON %I', 'Allow authenticated access to ' || table_name, table_name);
+  EXECUTE format('CREATE POLICY %I ON %I FOR ALL USING (auth.role() = %L)',
+    'Allow authenticated access to ' || table_name, table_name, 'authenticated');
+END;
+$$ LANGUAGE plpgsql;
+
+SELECT allow_authenticated_access('sessions');
+SELECT allow_authenticated_access('message_logs');
+SELECT allow_authenticated_access('tool_calls');
+SELECT allow_authenticated_access('operators');
@@ -0,0 +1,2 @@
+ALTER TABLE sessions DROP COLUMN IF EXISTS operator_transfer_time;
+ALTER TABLE sessions DROP COLUMN IF EXISTS transferred_to_operator;
@@ -0,0 +1,3 @@
+-- Columns dbService.logOperatorTransfer writes, missing from earlier schemas
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS transferred_to_operator BOOLEAN DEFAULT FALSE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS operator_transfer_time TIMESTAMP WITH TIME ZONE;
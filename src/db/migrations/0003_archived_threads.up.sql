@@ -0,0 +1,13 @@
+-- Threads users closed with /reset or /end
+CREATE TABLE IF NOT EXISTS archived_threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('reset', 'end')),
+  started_at TIMESTAMP WITH TIME ZONE,
+  archived_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS archived_threads_chat_id_idx ON archived_threads(chat_id);
+
+SELECT allow_authenticated_access('archived_threads');
@@ -0,0 +1,4 @@
+DROP VIEW IF EXISTS campaign_report;
+DROP TABLE IF EXISTS campaign_sessions;
+DROP TABLE IF EXISTS campaigns;
+ALTER TABLE sessions DROP COLUMN IF EXISTS start_payload;
@@ -0,0 +1,41 @@
+-- Deep-link /start payload of the latest session
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS start_payload TEXT;
+
+-- Deep-link /start payloads mapped to campaigns
+CREATE TABLE IF NOT EXISTS campaigns (
+  payload TEXT PRIMARY KEY,
+  campaign TEXT NOT NULL,
+  greeting TEXT,
+  context TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sessions started from a deep link, one row per /start
+CREATE TABLE IF NOT EXISTS campaign_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT,
+  payload TEXT NOT NULL,
+  campaign TEXT NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  transferred_at TIMESTAMP WITH TIME ZONE,
+  converted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS campaign_sessions_chat_id_idx ON campaign_sessions(chat_id);
+CREATE INDEX IF NOT EXISTS campaign_sessions_campaign_idx ON campaign_sessions(campaign);
+
+-- Sessions, transfers and conversions per campaign
+CREATE OR REPLACE VIEW campaign_report AS
+SELECT
+  campaign,
+  COUNT(*) AS sessions,
+  COUNT(transferred_at) AS transfers,
+  COUNT(converted_at) AS conversions,
+  MIN(started_at) AS first_session_at,
+  MAX(started_at) AS last_session_at
+FROM campaign_sessions
+GROUP BY campaign;
+
+SELECT allow_authenticated_access('campaigns');
+SELECT allow_authenticated_access('campaign_sessions');
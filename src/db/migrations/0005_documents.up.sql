@@ -0,0 +1,18 @@
+-- Photos and documents customers sent, the files live in the configured blob store
+CREATE TABLE IF NOT EXISTS documents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chat_id BIGINT NOT NULL,
+  thread_id TEXT,
+  message_id BIGINT,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'document')),
+  file_name TEXT NOT NULL,
+  mime_type TEXT,
+  size INTEGER,
+  storage TEXT NOT NULL CHECK (storage IN ('local', 'supabase')),
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS documents_chat_id_idx ON documents(chat_id);
+
+SELECT allow_authenticated_access('documents');
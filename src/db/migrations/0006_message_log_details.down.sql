@@ -0,0 +1,11 @@
+ALTER TABLE message_logs DROP COLUMN IF EXISTS latency_ms;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS operator_id;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS telegram_message_ids;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS run_id;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS thread_id;
+
+-- Operator messages would violate the old constraint
+DELETE FROM message_logs WHERE role = 'operator';
+ALTER TABLE message_logs DROP CONSTRAINT IF EXISTS message_logs_role_check;
+ALTER TABLE message_logs ADD CONSTRAINT message_logs_role_check
+  CHECK (role IN ('user', 'assistant', 'system'));
@@ -0,0 +1,10 @@
+-- Operator messages and details of each logged message
+ALTER TABLE message_logs DROP CONSTRAINT IF EXISTS message_logs_role_check;
+ALTER TABLE message_logs ADD CONSTRAINT message_logs_role_check
+  CHECK (role IN ('user', 'assistant', 'operator', 'system'));
+
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS thread_id TEXT;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS run_id TEXT;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS telegram_message_ids BIGINT[];
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS operator_id BIGINT;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
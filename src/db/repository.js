@@ -0,0 +1,60 @@
+/**
+ * Database repositories
+ * dbService reaches the database through a repository chosen by config.database.driver.
+ * Repositories work on the tables of src/db/migrations, take and return rows with their
+ * snake_case columns and throw on errors, leaving error handling to the caller.
+ */
+
+import { SupabaseRepository } from './SupabaseRepository.js';
+import { PostgresRepository } from './PostgresRepository.js';
+import { SqliteRepository } from './SqliteRepository.js';
+
+/**
+ * Methods every repository implements, test/repository.test.js checks their behavior
+ */
+export const REPOSITORY_METHODS = [
+  'ping',                  // () => void, throws if the database is unreachable
+  'close',                 // () => void
+  'upsertSession',         // (row) => void, keyed by chat_id
+  'getSession',            // (chatId) => row | null
+  'updateSession',         // (chatId, fields) => void
+  'deleteSession',         // (chatId) => void
+  'getSessions',           // () => rows, most recently updated first
+  'insertArchivedThread',  // (row) => void
+  'insertMessage',         // (row) => void
+  'getMessages',           // (chatId, limit) => latest rows, oldest first
+  'insertDocument',        // (row) => created row
+  'getDocuments',          // (chatId, limit) => latest rows, oldest first
+  'getOperator',           // (telegramId) => row | null
+  'insertToolCall',        // (row) => void
+  'getCampaign',           // (payload) => row | null
+  'insertCampaignSession', // (row) => void
+  'markCampaignSession',   // (chatId, 'transferred' | 'converted') => whether a session was marked
+  'getCampaignReport',     // () => campaign_report rows, most sessions first
+  'insertInstance',        // (row) => void
+  'getInstances',          // () => rows, most recently started first
+  'touchInstance',         // (instanceId) => void, updates last_heartbeat
+  'deleteInstance',        // (instanceId) => void
+  'deleteHostInstances',   // (hostname) => void
+  'deleteStaleInstances',  // (before: Date) => void, by last_heartbeat
+  'insertLog',             // (row) => void
+  'getLogs'                // ({ level, limit }) => rows, newest first
+];
+
+/**
+ * Create the repository of a database driver
+ * @param {object} settings - Database settings, see config.database
+ * @returns {SupabaseRepository|PostgresRepository|SqliteRepository} - Repository
+ */
+export function createRepository(settings) {
+  switch (settings.driver) {
+    case 'supabase':
+      return new SupabaseRepository(settings.supabase);
+    case 'postgres':
+      return new PostgresRepository(settings);
+    case 'sqlite':
+      return new SqliteRepository(settings.sqlite);
+    default:
+      throw new Error(`Unknown database driver: ${settings.driver}`);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Versioned SQLite schemas
+ * Migrations are numbered SQL files, NNNN_name.sql, in a directory per schema below
+ * src/db/sqlite/migrations. SqliteRepository and SqliteStorage can share one file, so
+ * applied versions are recorded per schema in the schema_migrations table.
+ */
+
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../../utils/logger.js';
+
+export const SQLITE_MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+const FILE_REGEX = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Read the migration files of a directory, ordered by version
+ * @param {string} directory - Directory with migration files
+ * @returns {Array<object>} - [{ version, name, sql, checksum }]
+ */
+export function loadSqliteMigrations(directory) {
+  const migrations = [];
+
+  for (const file of readdirSync(directory).sort()) {
+    const match = FILE_REGEX.exec(file);
+    if (!match) continue;
+
+    const [, version, name] = match;
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`SQLite migration ${version} exists twice in ${directory}`);
+    }
+
+    const sql = readFileSync(path.join(directory, file), 'utf8');
+    migrations.push({ version, name, sql, checksum: createHash('sha256').update(sql).digest('hex') });
+  }
+
+  return migrations;
+}
+
+/**
+ * Apply the pending migrations of a schema
+ * Each migration runs in its own transaction together with its record. Applied migrations
+ * whose file was edited since are not run again, a warning is logged for them.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} schema - Schema name, the migrations are in SQLITE_MIGRATIONS_DIR/<schema>
+ * @param {object} options - Options
+ * @param {string} options.directory - Directory with migration files, overrides the schema directory
+ * @returns {Array<string>} - Applied versions
+ */
+export function migrateSqlite(db, schema, { directory = path.join(SQLITE_MIGRATIONS_DIR, schema) } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      schema TEXT NOT NULL,
+      version TEXT NOT NULL,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (schema, version)
+    )
+  `);
+
+  const getApplied = db.prepare('SELECT checksum FROM schema_migrations WHERE schema = ? AND version = ?');
+  const record = db.prepare('INSERT INTO schema_migrations (schema, version, name, checksum) VALUES (?, ?, ?, ?)');
+
+  const applied = [];
+  for (const migration of loadSqliteMigrations(directory)) {
+    const label = `${schema}/${migration.version}_${migration.name}`;
+
+    const row = getApplied.get(schema, migration.version);
+    if (row) {
+      if (row.checksum !== migration.checksum) {
+        logger.warn('SQLite migration file changed since it was applied', { migration: label });
+      }
+      continue;
+    }
+
+    // IMMEDIATE takes the write lock first, so another connection cannot apply the same version
+    const apply = db.transaction(() => {
+      if (getApplied.get(schema, migration.version)) return false;
+
+      db.exec(migration.sql);
+      record.run(schema, migration.version, migration.name, migration.checksum);
+      return true;
+    });
+
+    try {
+      if (!apply.immediate()) continue;
+    } catch (error) {
+      throw new Error(`SQLite migration ${label} failed: ${error.message}`);
+    }
+
+    logger.info('SQLite migration applied', { migration: label });
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
@@ -0,0 +1,128 @@
+-- Tables of SqliteRepository, matching src/db/migrations up to 0006
+-- Statements are idempotent, so files created before SQLite migrations were versioned adopt this one.
+-- Timestamps are ISO 8601 strings in UTC, booleans 0/1 and JSON columns JSON text.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER UNIQUE NOT NULL,
+  thread_id TEXT NOT NULL,
+  human_handoff INTEGER DEFAULT 0,
+  start_payload TEXT,
+  transferred_to_operator INTEGER DEFAULT 0,
+  operator_transfer_time TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS message_logs (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'operator', 'system')),
+  content TEXT NOT NULL,
+  thread_id TEXT,
+  run_id TEXT,
+  telegram_message_ids TEXT,
+  operator_id INTEGER,
+  latency_ms INTEGER,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS message_logs_chat_id_idx ON message_logs(chat_id);
+
+CREATE TABLE IF NOT EXISTS tool_calls (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER,
+  thread_id TEXT,
+  run_id TEXT,
+  tool_name TEXT NOT NULL,
+  arguments TEXT,
+  output TEXT,
+  status TEXT NOT NULL CHECK (status IN ('success', 'error', 'invalid', 'timeout', 'unknown')),
+  duration_ms INTEGER,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS tool_calls_chat_id_idx ON tool_calls(chat_id);
+
+CREATE TABLE IF NOT EXISTS operators (
+  telegram_id INTEGER PRIMARY KEY,
+  role TEXT NOT NULL DEFAULT 'operator' CHECK (role IN ('operator', 'supervisor', 'admin')),
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS bot_instances (
+  instance_id TEXT PRIMARY KEY,
+  hostname TEXT NOT NULL,
+  last_heartbeat TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS logs (
+  id TEXT PRIMARY KEY,
+  level TEXT NOT NULL,
+  message TEXT NOT NULL,
+  error_message TEXT,
+  error_stack TEXT,
+  metadata TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_logs_created_at ON logs(created_at);
+
+CREATE TABLE IF NOT EXISTS archived_threads (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER NOT NULL,
+  thread_id TEXT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('reset', 'end')),
+  started_at TEXT,
+  archived_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  payload TEXT PRIMARY KEY,
+  campaign TEXT NOT NULL,
+  greeting TEXT,
+  context TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS campaign_sessions (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER NOT NULL,
+  thread_id TEXT,
+  payload TEXT NOT NULL,
+  campaign TEXT NOT NULL,
+  started_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  transferred_at TEXT,
+  converted_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS campaign_sessions_chat_id_idx ON campaign_sessions(chat_id);
+
+CREATE VIEW IF NOT EXISTS campaign_report AS
+SELECT
+  campaign,
+  COUNT(*) AS sessions,
+  COUNT(transferred_at) AS transfers,
+  COUNT(converted_at) AS conversions,
+  MIN(started_at) AS first_session_at,
+  MAX(started_at) AS last_session_at
+FROM campaign_sessions
+GROUP BY campaign;
+
+CREATE TABLE IF NOT EXISTS documents (
+  id TEXT PRIMARY KEY,
+  chat_id INTEGER NOT NULL,
+  thread_id TEXT,
+  message_id INTEGER,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'document')),
+  file_name TEXT NOT NULL,
+  mime_type TEXT,
+  size INTEGER,
+  storage TEXT NOT NULL CHECK (storage IN ('local', 'supabase')),
+  storage_key TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS documents_chat_id_idx ON documents(chat_id);
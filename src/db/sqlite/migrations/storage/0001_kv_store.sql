@@ -0,0 +1,19 @@
+-- Keys and sorted sets of SqliteStorage
+-- Statements are idempotent, so files created before SQLite migrations were versioned adopt this one.
+
+CREATE TABLE IF NOT EXISTS kv_store (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  expires_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS kv_store_expires_at_idx ON kv_store(expires_at);
+
+CREATE TABLE IF NOT EXISTS kv_sorted_sets (
+  key TEXT NOT NULL,
+  member TEXT NOT NULL,
+  score REAL NOT NULL,
+  PRIMARY KEY (key, member)
+);
+
+CREATE INDEX IF NOT EXISTS kv_sorted_sets_score_idx ON kv_sorted_sets(key, score);
@@ -0,0 +1,26 @@
+/**
+ * SQLite connections
+ * SqliteStorage and SqliteRepository can share one file, each through its own connection
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+/**
+ * Open a SQLite database, creating the file and its directory if needed
+ * @param {string} filename - Database file, or ':memory:'
+ * @returns {Database} - better-sqlite3 connection
+ */
+export function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  // WAL lets one connection read while the other writes
+  db.pragma('journal_mode = WAL');
+  // Wait for the lock of the other connection instead of failing with SQLITE_BUSY
+  db.pragma('busy_timeout = 5000');
+  return db;
+}
@@ -0,0 +1,182 @@
+/**
+ * Callback query handler module
+ * Routes inline keyboard button presses to handlers by namespace and action
+ */
+
+import { operatorService } from '../services/operatorService.js';
+import { decodeCallbackData } from '../utils/callbackData.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Parse chat ID from a callback argument
+ * @param {string} value - Raw argument
+ * @returns {number|null} - Chat ID or null if invalid
+ */
+const parseChatId = (value) => {
+  const chatId = Number(value);
+  return Number.isSafeInteger(chatId) && chatId !== 0 ? chatId : null;
+};
+
+/**
+ * Dispatches callback queries to registered handlers
+ * Every query is answered, so the button stops showing a spinner even if the handler fails
+ */
+class CallbackRouter {
+  constructor(bot) {
+    this.bot = bot;
+    this.routes = new Map();
+  }
+
+  /**
+   * Register handler for a button action
+   * @param {string} namespace - Callback namespace
+   * @param {string} action - Action within the namespace
+   * @param {object} route - Route options
+   * @param {string|null} route.role - Minimum operator role, null for everyone
+   * @param {Function} route.handler - async (query, args) => answer text or { text, showAlert }
+   */
+  on(namespace, action, { role = null, handler }) {
+    this.routes.set(`${namespace}:${action}`, { role, handler });
+  }
+
+  /**
+   * Handle a callback query
+   * @param {object} query - Telegram callback query
+   */
+  async dispatch(query) {
+    const userId = query.from?.id;
+    let answer = {};
+
+    try {
+      answer = await this.route(query);
+    } catch (error) {
+      logger.error('Error handling callback query:', error, { userId, data: query.data });
+      answer = { text: 'Something went wrong. Please try again.', showAlert: true };
+    }
+
+    if (typeof answer === 'string') {
+      answer = { text: answer };
+    }
+
+    try {
+      await this.bot.answerCallbackQuery(query.id, {
+        text: answer?.text,
+        show_alert: !!answer?.showAlert
+      });
+    } catch (error) {
+      logger.error('Failed to answer callback query:', error, { userId });
+    }
+  }
+
+  async route(query) {
+    const userId = query.from?.id;
+    const callback = decodeCallbackData(query.data);
+
+    if (!callback) {
+      logger.warn('Invalid callback data', { persistent: true, userId, data: query.data });
+      return { text: 'This button is no longer valid.', showAlert: true };
+    }
+
+    const { namespace, action, args } = callback;
+    const route = this.routes.get(`${namespace}:${action}`);
+    if (!route) {
+      logger.warn('Unknown callback action', { userId, namespace, action });
+      return { text: 'This button is no longer supported.', showAlert: true };
+    }
+
+    if (route.role && !await operatorService.hasRole(userId, route.role)) {
+      logger.warn('Unauthorized callback attempt', {
+        persistent: true,
+        userId,
+        username: query.from?.username,
+        namespace,
+        action,
+        requiredRole: route.role
+      });
+      return { text: 'You are not authorized to use this button.', showAlert: true };
+    }
+
+    logger.info('Callback query received', { userId, namespace, action, args });
+    return route.handler(query, args);
+  }
+}
+
+/**
+ * Register callback query handlers on bot
+ * @param {TelegramBot} bot - The Telegram bot instance
+ * @param {BotService} botService - Bot service owning the session state
+ */
+export const registerCallbackHandlers = async (bot, botService) => {
+  const router = new CallbackRouter(bot);
+
+  // Operator takes over the customer chat from a notification
+  router.on('op', 'take', {
+    role: 'operator',
+    handler: async (query, [rawChatId]) => {
+      const chatId = parseChatId(rawChatId);
+      const operatorId = query.from.id;
+
+      if (!chatId || !await botService.hasActiveThread(chatId)) {
+        return { text: `Chat ${rawChatId} does not exist.`, showAlert: true };
+      }
+
+      const state = await botService.getHandoffState(chatId);
+      if (state.enabled && state.operatorId && state.operatorId !== operatorId) {
+        return { text: 'Another operator is already handling this chat.', showAlert: true };
+      }
+
+      if (!await botService.takeOverChat(chatId, operatorId)) {
+        return { text: `Failed to enable human handoff for chat ${chatId}`, showAlert: true };
+      }
+
+      return `You are now handling chat ${chatId}. Messages you send to the bot go to this user.`;
+    }
+  });
+
+  // Operator hands the customer chat back to the assistant
+  router.on('op', 'ai', {
+    role: 'operator',
+    handler: async (query, [rawChatId]) => {
+      const chatId = parseChatId(rawChatId);
+
+      if (!chatId || !await botService.hasActiveThread(chatId)) {
+        return { text: `Chat ${rawChatId} does not exist.`, showAlert: true };
+      }
+
+      if (!await botService.isInHumanHandoff(chatId)) {
+        return `Chat ${chatId} is already handled by the AI assistant.`;
+      }
+
+      if (!await botService.returnToAssistant(chatId)) {
+        return { text: `Failed to reactivate AI mode for chat ${chatId}`, showAlert: true };
+      }
+
+      return `AI mode reactivated for chat ${chatId}`;
+    }
+  });
+
+  // Show recent conversation where the button was pressed
+  router.on('op', 'history', {
+    role: 'supervisor',
+    handler: async (query, [rawChatId]) => {
+      const chatId = parseChatId(rawChatId);
+      if (!chatId) {
+        return { text: `Chat ${rawChatId} does not exist.`, showAlert: true };
+      }
+
+      const messages = await botService.getConversationHistory(chatId, 10);
+      if (messages.length === 0) {
+        return { text: `No conversation history found for chat ${chatId}.`, showAlert: true };
+      }
+
+      const { chat, message_thread_id: topicId } = query.message;
+      await bot.sendMessage(chat.id, botService.formatHistory(chatId, messages),
+        topicId ? { message_thread_id: topicId } : {});
+      return '';
+    }
+  });
+
+  bot.on('callback_query', (query) => botService.trackUpdate(router.dispatch(query)));
+
+  logger.info('Callback handlers registered successfully');
+};
@@ -3,18 +3,120 @@
  * Handles Telegram bot commands
  */
 
-import { botService } from '../services/botService.js';
 import { openaiService } from '../services/openaiService.js';
+import { operatorService } from '../services/operatorService.js';
+import { documentService } from '../services/documentService.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Parse chat ID from command argument
+ * @param {string} value - Raw command argument
+ * @returns {number|null} - Chat ID or null if invalid
+ */
+const parseChatId = (value) => {
+  const chatId = Number(value?.trim());
+  return Number.isSafeInteger(chatId) && chatId !== 0 ? chatId : null;
+};
+
+/**
+ * Check if Telegram rejected a file because it no longer exists
+ * @param {Error} error - Telegram API error
+ * @returns {boolean} - Whether the file is gone, as opposed to a temporary failure
+ */
+const isFileGoneError = (error) => error.response?.statusCode === 400 &&
+  /file not found|wrong file identifier|FILE_REFERENCE_EXPIRED/i.test(error.message || '');
+
+// Deep-link payloads Telegram accepts: up to 64 characters A-Z, a-z, 0-9, _ and -
+const START_PAYLOAD_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Format seconds as a short human readable duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "2 h 5 min"
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 1) return 'less than a minute';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+
+  return [
+    days && `${days} d`,
+    hours && `${hours} h`,
+    rest && `${rest} min`
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Create guard that only lets operators with the required role run a command
+ * Unauthorized attempts are persisted to the logs table
+ * @param {TelegramBot} bot - The Telegram bot instance
+ * @returns {Function} - (role, handler) => guarded handler
+ */
+const createRoleGuard = (bot) => (role, handler) => async (msg, match) => {
+  const userId = msg.from?.id;
+  
+  try {
+    if (await operatorService.hasRole(userId, role)) {
+      return handler(msg, match);
+    }
+  } catch (error) {
+    logger.error("Error checking operator role:", error, { userId, role });
+  }
+  
+  logger.warn('Unauthorized command attempt', {
+    persistent: true,
+    userId,
+    username: msg.from?.username,
+    chatId: msg.chat.id,
+    command: msg.text?.split(' ')[0],
+    requiredRole: role
+  });
+  
+  await bot.sendMessage(msg.chat.id, "You are not authorized to use this command.");
+};
+
 /**
  * Register command handlers on bot
  * @param {TelegramBot} bot - The Telegram bot instance
+ * @param {BotService} botService - Bot service owning the session state
  */
-export const registerCommandHandlers = async (bot) => {
+export const registerCommandHandlers = async (bot, botService) => {
+  const requireRole = createRoleGuard(bot);
+
+  /**
+   * Register a command, its work is tracked so a queued update is acknowledged only when it is done
+   * @param {RegExp} regexp - Command pattern
+   * @param {Function} handler - async (msg, match) => void
+   */
+  const onCommand = (regexp, handler) => {
+    bot.onText(regexp, (msg, match) => botService.trackUpdate(handler(msg, match)));
+  };
+
+  /**
+   * Create a new thread (session) via the OpenAI API and save it for the chat
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<string>} - Thread ID
+   */
+  const startSession = async (chatId) => {
+    const threadId = await openaiService.createThread();
+    logger.info("Created thread:", { threadId, chatId });
+    
+    await botService.storeUserThread(chatId, threadId);
+    return threadId;
+  };
+
   // Handle the /start command to initialize a session
-  bot.onText(/\/start/, async (msg) => {
+  // Deep links (t.me/<bot>?start=<payload>) arrive as "/start <payload>"
+  onCommand(/^\/start(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
+    const payload = match[1] && START_PAYLOAD_REGEX.test(match[1]) ? match[1] : null;
+
+    if (match[1] && !payload) {
+      logger.warn('Ignoring invalid start payload', { chatId, payload: match[1].substring(0, 100) });
+    }
     
     if (!openaiService.assistantId) {
       await bot.sendMessage(chatId, "Bot is still initializing. Please try again in a moment.");
@@ -22,15 +124,14 @@ export const registerCommandHandlers = async (bot) => {
     }
     
     try {
-      // Create a new thread (session) via the OpenAI API
-      const threadId = await openaiService.createThread();
-      logger.info("Created thread:", { threadId, chatId });
-      
-      // Save the thread ID for the current chat
-      await botService.storeUserThread(chatId, threadId);
+      const threadId = await startSession(chatId);
+      const campaign = payload
+        ? await botService.applyStartPayload(chatId, threadId, payload)
+        : null;
       
       // Send a welcome message to initiate the conversation
-      await bot.sendMessage(chatId, "Hello! I'm your AI assistant. How can I help you today?");
+      await bot.sendMessage(chatId,
+        campaign?.greeting || "Hello! I'm your AI assistant. How can I help you today?");
     } catch (error) {
       logger.error("Error creating thread:", error, { chatId });
       await bot.sendMessage(chatId, "Failed to create session. Please try again later.");
@@ -38,29 +139,104 @@ export const registerCommandHandlers = async (bot) => {
   });
 
   // Handle the /help command
-  bot.onText(/\/help/, async (msg) => {
+  onCommand(/\/help/, async (msg) => {
     const chatId = msg.chat.id;
     const helpText = 
       "Available commands:\n" +
       "/start - Start a new conversation\n" +
+      "/reset - Archive this conversation and start fresh\n" +
+      "/end - End the conversation\n" +
+      "/status - Show session status\n" +
       "/help - Show this help message";
     
     await bot.sendMessage(chatId, helpText);
   });
 
+  // Archive the current thread and start a fresh one
+  onCommand(/^\/reset\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    if (!openaiService.assistantId) {
+      await bot.sendMessage(chatId, "Bot is still initializing. Please try again in a moment.");
+      return;
+    }
+    
+    try {
+      await botService.closeSession(chatId, 'reset');
+      await startSession(chatId);
+      
+      await bot.sendMessage(chatId, "Your conversation was reset. How can I help you?");
+    } catch (error) {
+      logger.error("Error resetting session:", error, { chatId });
+      await bot.sendMessage(chatId, "Failed to reset the session. Please try again later.");
+    }
+  });
+
+  // Close the session until the user sends /start again
+  onCommand(/^\/end\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    try {
+      const closed = await botService.closeSession(chatId, 'end');
+      
+      await bot.sendMessage(chatId, closed
+        ? "Your session has ended. Send /start whenever you want to talk again."
+        : "You have no active session. Send /start to begin one.");
+    } catch (error) {
+      logger.error("Error ending session:", error, { chatId });
+      await bot.sendMessage(chatId, "Failed to end the session. Please try again later.");
+    }
+  });
+
+  // Show session age, mode and remaining time
+  onCommand(/^\/status\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    try {
+      const status = await botService.getSessionStatus(chatId);
+      
+      if (!status) {
+        await bot.sendMessage(chatId, "You have no active session. Send /start to begin one.");
+        return;
+      }
+      
+      const lines = [
+        "Session status:",
+        `Mode: ${status.humanHandoff ? "🔴 Human operator" : "🟢 AI assistant"}`
+      ];
+      if (status.startedAt) {
+        lines.push(`Started: ${formatDuration((Date.now() - new Date(status.startedAt)) / 1000)} ago`);
+      }
+      if (status.ttl !== null) {
+        lines.push(`Expires after ${formatDuration(status.ttl)} without messages`);
+      }
+      
+      await bot.sendMessage(chatId, lines.join("\n"));
+    } catch (error) {
+      logger.error("Error getting session status:", error, { chatId });
+      await bot.sendMessage(chatId, "Failed to get session status. Please try again later.");
+    }
+  });
+
   // Command to enable human handoff mode for a specific chat
-  bot.onText(/\/handoff (.+)/, async (msg, match) => {
+  onCommand(/\/handoff (.+)/, requireRole('operator', async (msg, match) => {
     const operatorId = msg.chat.id;
-    const targetChatId = match[1];
+    const targetChatId = parseChatId(match[1]);
+    
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
     
     try {
       const hasThread = await botService.hasActiveThread(targetChatId);
       if (hasThread) {
-        const success = await botService.setHumanHandoff(targetChatId, true);
+        const success = await botService.takeOverChat(targetChatId, operatorId);
         
         if (success) {
-          await bot.sendMessage(operatorId, `Human handoff enabled for chat ${targetChatId}`);
-          await bot.sendMessage(targetChatId, "You are now connected to a human operator.");
+          await bot.sendMessage(operatorId, 
+            `Human handoff enabled for chat ${targetChatId}. ` +
+            "Messages you send here now go to this user; replies to forwarded messages go to their sender.");
         } else {
           await bot.sendMessage(operatorId, `Failed to enable human handoff for chat ${targetChatId}`);
         }
@@ -71,21 +247,25 @@ export const registerCommandHandlers = async (bot) => {
       logger.error("Error handling handoff command:", error, { operatorId, targetChatId });
       await bot.sendMessage(operatorId, "An error occurred while processing the command.");
     }
-  });
+  }));
 
   // Command to disable human handoff mode for a specific chat
-  bot.onText(/\/ai (.+)/, async (msg, match) => {
+  onCommand(/\/ai (.+)/, requireRole('operator', async (msg, match) => {
     const operatorId = msg.chat.id;
-    const targetChatId = match[1];
+    const targetChatId = parseChatId(match[1]);
+    
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
     
     try {
       const hasThread = await botService.hasActiveThread(targetChatId);
       if (hasThread) {
-        const success = await botService.setHumanHandoff(targetChatId, false);
+        const success = await botService.returnToAssistant(targetChatId);
         
         if (success) {
           await bot.sendMessage(operatorId, `AI mode reactivated for chat ${targetChatId}`);
-          await bot.sendMessage(targetChatId, "You are now connected to the AI assistant again.");
         } else {
           await bot.sendMessage(operatorId, `Failed to reactivate AI mode for chat ${targetChatId}`);
         }
@@ -96,20 +276,29 @@ export const registerCommandHandlers = async (bot) => {
       logger.error("Error handling ai command:", error, { operatorId, targetChatId });
       await bot.sendMessage(operatorId, "An error occurred while processing the command.");
     }
-  });
+  }));
 
   // Command for operators to answer to users
-  bot.onText(/\/answer (.+?) (.+)/, async (msg, match) => {
+  onCommand(/\/answer (.+?) (.+)/, requireRole('operator', async (msg, match) => {
     const operatorId = msg.chat.id;
-    const targetChatId = match[1];
+    const targetChatId = parseChatId(match[1]);
     const responseText = match[2];
     
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
+    
     try {
       const hasThread = await botService.hasActiveThread(targetChatId);
       const isInHandoff = await botService.isInHumanHandoff(targetChatId);
       
       if (hasThread && isInHandoff) {
-        await bot.sendMessage(targetChatId, responseText);
+        const sent = await bot.sendMessage(targetChatId, responseText);
+        botService.logConversation(targetChatId, 'operator', responseText, {
+          operatorId: msg.from?.id ?? operatorId,
+          telegramMessageIds: [sent.message_id]
+        });
         await bot.sendMessage(operatorId, `Message sent to ${targetChatId}`);
       } else {
         await bot.sendMessage(operatorId, 
@@ -119,10 +308,10 @@ export const registerCommandHandlers = async (bot) => {
       logger.error("Error handling answer command:", error, { operatorId, targetChatId });
       await bot.sendMessage(operatorId, "An error occurred while processing the command.");
     }
-  });
+  }));
 
   // Command to list all active users
-  bot.onText(/\/users/, async (msg) => {
+  onCommand(/\/users/, requireRole('supervisor', async (msg) => {
     const operatorId = msg.chat.id;
     
     try {
@@ -144,19 +333,123 @@ export const registerCommandHandlers = async (bot) => {
       
       response += "\nTo enable human handoff: /handoff [chatId]\n";
       response += "To return to AI mode: /ai [chatId]\n";
-      response += "To answer a user: /answer [chatId] [message]";
+      response += "To answer a user: reply to their forwarded message or /answer [chatId] [message]";
       
       await bot.sendMessage(operatorId, response);
     } catch (error) {
       logger.error("Error handling users command:", error, { operatorId });
       await bot.sendMessage(operatorId, "An error occurred while processing the command.");
     }
-  });
+  }));
+
+  // Command to record that a customer converted, e.g. placed an order
+  onCommand(/\/convert (.+)/, requireRole('operator', async (msg, match) => {
+    const operatorId = msg.chat.id;
+    const targetChatId = parseChatId(match[1]);
+    
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
+    
+    try {
+      const marked = await botService.markConversion(targetChatId);
+      await bot.sendMessage(operatorId, marked
+        ? `Conversion recorded for chat ${targetChatId}.`
+        : `Chat ${targetChatId} has no campaign session without a conversion.`);
+    } catch (error) {
+      logger.error("Error handling convert command:", error, { operatorId, targetChatId });
+      await bot.sendMessage(operatorId, "An error occurred while processing the command.");
+    }
+  }));
+
+  // Command to re-send the photos and documents a customer sent
+  onCommand(/\/docs (.+)/, requireRole('operator', async (msg, match) => {
+    const operatorId = msg.chat.id;
+    const targetChatId = parseChatId(match[1]);
+    
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
+    
+    try {
+      const documents = await documentService.getDocuments(targetChatId);
+      
+      if (documents.length === 0) {
+        await bot.sendMessage(operatorId, `No documents found for chat ${targetChatId}.`);
+        return;
+      }
+      
+      await bot.sendMessage(operatorId, `Documents of chat ${targetChatId}: ${documents.length}`);
+      
+      // One by one, so the documents arrive in the order they were sent
+      for (const document of documents) {
+        const sentAt = new Date(document.created_at).toLocaleString();
+        let gone = false;
+        
+        // A document that cannot be read or sent is reported, the rest are still delivered
+        try {
+          const contents = await documentService.readDocument(document);
+          if (contents) {
+            await bot.sendDocument(operatorId, contents, { caption: `${document.file_name}, sent ${sentAt}` }, {
+              filename: document.file_name,
+              contentType: document.mime_type
+            });
+          } else {
+            gone = true;
+          }
+        } catch (error) {
+          gone = isFileGoneError(error);
+          logger.error("Error sending document:", error, { operatorId, targetChatId, documentId: document.id, gone });
+          if (!gone) {
+            await bot.sendMessage(operatorId, `${document.file_name} (${sentAt}) could not be sent right now, try /docs again later.`);
+          }
+        }
+        
+        if (gone) {
+          await bot.sendMessage(operatorId, `${document.file_name} (${sentAt}) is no longer available.`);
+        }
+      }
+    } catch (error) {
+      logger.error("Error handling docs command:", error, { operatorId, targetChatId });
+      await bot.sendMessage(operatorId, "An error occurred while processing the command.");
+    }
+  }));
+
+  // Command to show sessions, transfers and conversions per campaign
+  onCommand(/\/campaigns/, requireRole('supervisor', async (msg) => {
+    const operatorId = msg.chat.id;
+    
+    try {
+      const report = await botService.getCampaignReport();
+      
+      if (report.length === 0) {
+        await bot.sendMessage(operatorId, "No campaign sessions yet.");
+        return;
+      }
+      
+      let response = "Campaigns (sessions / transfers / conversions):\n";
+      for (const row of report) {
+        response += `- ${row.campaign}: ${row.sessions} / ${row.transfers} / ${row.conversions}\n`;
+      }
+      
+      await bot.sendMessage(operatorId, response);
+    } catch (error) {
+      logger.error("Error handling campaigns command:", error, { operatorId });
+      await bot.sendMessage(operatorId, "An error occurred while processing the command.");
+    }
+  }));
 
   // Command to view recent conversation history
-  bot.onText(/\/history (.+)/, async (msg, match) => {
+  onCommand(/\/history (.+)/, requireRole('supervisor', async (msg, match) => {
     const operatorId = msg.chat.id;
-    const targetChatId = match[1];
+    const targetChatId = parseChatId(match[1]);
+    
+    if (!targetChatId) {
+      await bot.sendMessage(operatorId, `Invalid chat ID: ${match[1]}`);
+      return;
+    }
     
     try {
       const hasThread = await botService.hasActiveThread(targetChatId);
@@ -173,24 +466,10 @@ export const registerCommandHandlers = async (bot) => {
         return;
       }
       
-      // Format messages
-      let response = `Recent conversation for chat ${targetChatId}:\n\n`;
-      
-      // Display messages in chronological order (oldest first)
-      const sortedMessages = [...messages].reverse();
-      
-      sortedMessages.forEach(msg => {
-        const role = msg.role === 'user' ? '👤 User' : 
-                    msg.role === 'assistant' ? '🤖 Bot' : '👨‍💼 Operator';
-        
-        const timestamp = new Date(msg.created_at).toLocaleString();
-        response += `${role} (${timestamp}):\n${msg.content}\n\n`;
-      });
-      
-      await bot.sendMessage(operatorId, response);
+      await bot.sendMessage(operatorId, botService.formatHistory(targetChatId, messages));
     } catch (error) {
       logger.error("Error handling history command:", error, { operatorId, targetChatId });
       await bot.sendMessage(operatorId, "An error occurred while processing the command.");
     }
-  });
+  }));
 };
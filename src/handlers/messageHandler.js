@@ -3,15 +3,107 @@
  * Handles processing of user messages
  */
 
-import { botService } from '../services/botService.js';
+import { config } from '../config/config.js';
 import { openaiService } from '../services/openaiService.js';
+import { mediaService } from '../services/mediaService.js';
+import { documentService } from '../services/documentService.js';
 import { logger } from '../utils/logger.js';
+import { messageQueue } from '../utils/messageQueue.js';
+import { keepTypingIndicator } from '../utils/typingIndicator.js';
+import { StreamingMessage } from '../utils/streamingMessage.js';
+import { markdownToTelegramHtml } from '../utils/markdown.js';
+
+/**
+ * Stream assistant reply into a placeholder message that grows as text arrives
+ * If the final text cannot be shown, the partial reply is replaced by a regular message
+ * @param {TelegramBot} bot - The Telegram bot instance
+ * @param {BotService} botService - Bot service sending the fallback reply
+ * @param {number} chatId - The Telegram chat ID
+ * @param {string} threadId - The OpenAI thread ID
+ * @param {object} toolContext - Context passed to assistant tools
+ * @param {string|null} instructions - Additional instructions of the session
+ * @returns {Promise<{text: string, messageIds: Array<number>}|null>} - Sent reply, null if the chat was transferred
+ */
+const streamAssistantReply = async (bot, botService, chatId, threadId, toolContext, instructions) => {
+  const reply = new StreamingMessage(bot, chatId, {
+    editInterval: config.telegram.streaming.editInterval,
+    format: markdownToTelegramHtml
+  });
+  await reply.start();
+
+  try {
+    const response = await openaiService.streamAssistantResponse(threadId, {
+      context: toolContext,
+      instructions,
+      onText: (text) => reply.update(text)
+    });
+
+    // The configured transfer message already told the user what happens next
+    if (toolContext.transferred) {
+      await reply.discard();
+      return null;
+    }
+
+    const text = response || "I'm sorry, I couldn't process your request. Please try again.";
+    try {
+      await reply.finish(text);
+    } catch (error) {
+      logger.warn('Failed to finish streamed response, sending it as a new message', {
+        chatId,
+        threadId,
+        error: error.message
+      });
+      await reply.discard();
+      const sent = await botService.sendAssistantMessage(chatId, text);
+      return { text, messageIds: [sent].flat().map(({ message_id }) => message_id) };
+    }
+
+    logger.info('Streamed response sent to user', { chatId, threadId, responseLength: response?.length });
+    return { text, messageIds: reply.getMessageIds() };
+  } catch (error) {
+    await reply.discard();
+    throw error;
+  }
+};
+
+/**
+ * Wait until the user stops typing and collect their follow-up messages into one turn
+ * Follow-ups are taken from the chat's queue so each gets no separate run. Media that
+ * would be rejected stays queued and is answered on its own.
+ * @param {object} msg - First message of the turn
+ * @returns {Promise<Array<object>>} - Messages of the turn
+ */
+const collectUserTurn = async (msg) => {
+  const { window, maxWait } = config.telegram.debounce;
+  if (!window) {
+    return [msg];
+  }
+
+  const chatId = msg.chat.id;
+  await messageQueue.waitForQuiet(chatId, window, maxWait);
+
+  const followUps = messageQueue.take(chatId,
+    (next) => next.from?.id === msg.from?.id && mediaService.isSupported(next));
+  if (followUps.length === 0) {
+    return [msg];
+  }
+
+  const messages = [msg, ...followUps];
+  logger.info('Coalesced user messages', {
+    chatId,
+    count: messages.length,
+    messageIds: messages.map(({ message_id }) => message_id)
+  });
+
+  return messages;
+};
 
 /**
  * Register message handler on bot
  * @param {TelegramBot} bot - The Telegram bot instance
+ * @param {BotService} botService - Bot service owning the session state
  */
-export const registerMessageHandler = async (bot) => {
+export const registerMessageHandler = async (bot, botService) => {
   if (!bot) {
     logger.error('Cannot register message handler: bot is null');
     return;
@@ -19,31 +111,66 @@ export const registerMessageHandler = async (bot) => {
 
   logger.info('Registering message handler');
 
-  bot.on('message', async (msg) => {
+  /**
+   * Process one message, called by the queue in per-chat order
+   * Failures are thrown so a queued update is retried, the user hears about them only on the last attempt.
+   * Once the message is in the assistant thread a retry would add it again and run the assistant twice,
+   * so later failures are not thrown and the user is asked to send the message again.
+   * @param {object} msg - Telegram message
+   * @param {object} options - Processing options
+   * @param {boolean} options.final - Whether a failure will not be retried
+   */
+  const processMessage = async (msg, { final = true } = {}) => {
     const chatId = msg.chat.id;
     const messageId = msg.message_id;
-    const userText = msg.text;
 
-    logger.info('Received message', {
-      chatId,
-      messageId,
-      text: userText?.substring(0, 50),
-      from: msg.from?.username
-    });
+    try {
+      // Operator replies are relayed to the customer instead of the assistant
+      if (await botService.relayOperatorMessage(msg)) {
+        return;
+      }
 
-    // Ignore commands - they're handled separately
-    if (msg.text && msg.text.startsWith('/')) {
-      logger.info('Ignoring command message', { chatId, command: msg.text });
+      // Chats in human handoff go to the operator, not to OpenAI
+      if (await botService.hasActiveThread(chatId) && await botService.isInHumanHandoff(chatId)) {
+        const forwarded = await botService.forwardToOperator(msg);
+        if (!forwarded) {
+          await bot.sendMessage(chatId, "An operator will reply to you shortly.");
+        }
+        await documentService.collect(bot, msg, await botService.getUserThread(chatId));
+        return;
+      }
+    } catch (error) {
+      logger.error('Error routing message to operator', error, { chatId, messageId, final });
+      if (final) {
+        await bot.sendMessage(chatId, "Unable to deliver your message. Please try again.");
+      }
+      throw error;
+    }
+
+    // Check if the message contains text or media the assistant can read
+    const media = mediaService.getMedia(msg);
+    if (!msg.text && !media) {
+      logger.info('Received unsupported message', { chatId, messageId });
+      botService.logConversation(chatId, 'user', botService.describeMessage(msg), { telegramMessageIds: [messageId] });
+      await bot.sendMessage(chatId, "Sorry, I can only process text, photos, documents and voice messages.");
       return;
     }
 
-    // Check if the message contains text
-    if (!userText) {
-      logger.info('Received non-text message', { chatId, messageId });
-      await bot.sendMessage(chatId, "Sorry, I can only process text messages for now.");
+    const rejection = media && mediaService.validate(media);
+    if (rejection) {
+      logger.info('Rejected media message', {
+        chatId,
+        messageId,
+        kind: media.kind,
+        mimeType: media.mimeType,
+        fileSize: media.fileSize
+      });
+      botService.logConversation(chatId, 'user', botService.describeMessage(msg), { telegramMessageIds: [messageId] });
+      await bot.sendMessage(chatId, rejection);
       return;
     }
 
+    let threadChanged = false;
     try {
       // Check if assistantId exists
       if (!openaiService.assistantId) {
@@ -52,55 +179,140 @@ export const registerMessageHandler = async (bot) => {
         return;
       }
 
-      // If the session is not initialized, prompt the user to send /start
-      const hasThread = await botService.hasActiveThread(chatId);
-      if (!hasThread) {
+      // Private sessions start with the first message unless the deployment requires /start
+      const session = await botService.ensureUserThread(chatId, msg.chat.type);
+      if (!session) {
         logger.info('No active thread found', { chatId });
         await bot.sendMessage(chatId, "Please send /start to begin a session.");
         return;
       }
 
-      // Get thread ID
-      const threadId = await botService.getUserThread(chatId);
-      if (!threadId) {
-        logger.error('Thread ID not found for active chat', { chatId });
-        await bot.sendMessage(chatId, "Session error. Please send /start to begin a new session.");
-        return;
-      }
+      const { threadId } = session;
 
       logger.info('Processing message with OpenAI', { chatId, threadId });
 
-      // Show typing indicator
-      await bot.sendChatAction(chatId, 'typing');
+      // Keep typing while waiting for follow-up messages and for the assistant
+      const typing = new AbortController();
+      const stopTypingInterval = await keepTypingIndicator(chatId, typing.signal, bot);
+      const stopTyping = () => {
+        typing.abort();
+        stopTypingInterval?.();
+      };
+
+      let response;
+      let startedAt;
+      const toolContext = { chatId, from: msg.from, botService, transferred: false };
+      // Campaign context from the deep link the session started with
+      const instructions = await botService.getSessionContext(chatId);
+
+      try {
+        const messages = await collectUserTurn(msg);
+        // Latency is measured from the complete user turn, not from its first message
+        startedAt = Date.now();
+
+        const { content, attachments, text } = await mediaService.buildThreadMessage(bot, messages, {
+          // Keep photos and documents for operators
+          onFile: (file, media, buffer) => documentService.storeDocument(file, media, buffer, threadId)
+        });
 
-      // Add message to OpenAI thread
-      await openaiService.addMessageToThread(threadId, userText);
-      logger.info('Message added to OpenAI thread', { chatId, threadId });
+        // Add message to OpenAI thread
+        await openaiService.addMessageToThread(threadId, content, { attachments });
+        threadChanged = true;
+        logger.info('Message added to OpenAI thread', { chatId, threadId });
+        botService.logConversation(chatId, 'user', text, {
+          threadId,
+          telegramMessageIds: messages.map(({ message_id }) => message_id)
+        });
 
-      // Get response from the assistant
-      const response = await openaiService.runAssistantAndGetResponse(threadId);
+        // Get response from the assistant, letting it hand the chat to an operator
+        if (config.telegram.streaming.enabled) {
+          stopTyping();
+          const reply = await streamAssistantReply(bot, botService, chatId, threadId, toolContext, instructions);
+          if (reply) {
+            botService.logConversation(chatId, 'assistant', reply.text, {
+              threadId,
+              runId: toolContext.runId,
+              telegramMessageIds: reply.messageIds,
+              latencyMs: Date.now() - startedAt
+            });
+          }
+          return;
+        }
+
+        response = await openaiService.runAssistantAndGetResponse(threadId, { 
+          context: toolContext,
+          instructions
+        });
+      } finally {
+        stopTyping();
+      }
+
+      const { transferred } = toolContext;
       logger.info('Received response from OpenAI', { 
         chatId, 
         threadId, 
         hasResponse: !!response,
-        responseLength: response?.length
+        responseLength: response?.length,
+        transferred
       });
 
+      // The configured transfer message already told the user what happens next
+      if (transferred) {
+        return;
+      }
+
       if (response) {
-        await bot.sendMessage(chatId, response);
+        const sent = await botService.sendAssistantMessage(chatId, response);
         logger.info('Response sent to user', { chatId, threadId });
+        botService.logConversation(chatId, 'assistant', response, {
+          threadId,
+          runId: toolContext.runId,
+          telegramMessageIds: [sent].flat().map(({ message_id }) => message_id),
+          latencyMs: Date.now() - startedAt
+        });
       } else {
         logger.error('Empty response from assistant', { chatId, threadId });
         await bot.sendMessage(chatId, "I'm sorry, I couldn't process your request. Please try again.");
       }
     } catch (error) {
+      const retry = !threadChanged && !final;
       logger.error('Error processing message', error, { 
         chatId,
         messageId,
-        error: error.message
+        error: error.message,
+        final,
+        retry
       });
-      await bot.sendMessage(chatId, "Unable to process your message. Please try again.");
+      if (!retry) {
+        await bot.sendMessage(chatId, "Unable to process your message. Please try again.").catch(sendError => {
+          logger.error('Failed to send error message', sendError, { chatId });
+        });
+      }
+      if (!threadChanged) {
+        throw error;
+      }
     }
+  };
+
+  bot.on('message', (msg) => {
+    const chatId = msg.chat.id;
+
+    logger.info('Received message', {
+      chatId,
+      messageId: msg.message_id,
+      text: msg.text?.substring(0, 50),
+      from: msg.from?.username
+    });
+
+    // Ignore commands - they're handled separately
+    if (msg.text && msg.text.startsWith('/')) {
+      logger.info('Ignoring command message', { chatId, command: msg.text });
+      return;
+    }
+
+    // Messages of one chat are handled strictly in order, different chats in parallel
+    const final = botService.isFinalAttempt();
+    botService.trackUpdate(messageQueue.add(msg, (message) => processMessage(message, { final })));
   });
 
   logger.info('Message handler registered successfully');
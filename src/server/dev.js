@@ -5,9 +5,12 @@
 
 import express from 'express';
 import { config } from '../config/config.js';
-import { botService } from '../services/botService.js';
+import { BotService } from '../services/botService.js';
+import { UserSessionService } from '../services/UserSessionService.js';
 import { openaiService } from '../services/openaiService.js';
+import { dbService } from '../services/dbService.js';
 import { logger } from '../utils/logger.js';
+import { createStorage } from '../storage/index.js';
 
 // Create Express app
 const app = express();
@@ -31,7 +34,18 @@ async function initializeBot() {
     await openaiService.createOrGetAssistant();
     logger.info("Assistant initialized with ID: " + openaiService.assistantId);
     
+    // Initialize database if configured
+    if (config.database.driver) {
+      dbService.init(config.database);
+    }
+    
+    // Initialize session storage
+    const storage = createStorage(config.storage);
+    const userSessionService = new UserSessionService(storage);
+    await userSessionService.init();
+    
     // Initialize Telegram bot in polling mode
+    const botService = new BotService(userSessionService);
     await botService.init({ mode: 'development' });
     
     logger.info("Development bot initialization complete");
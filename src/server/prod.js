@@ -10,8 +10,9 @@ import { WebhookController } from '../controllers/WebhookController.js';
 import { openaiService } from '../services/openaiService.js';
 import { dbService } from '../services/dbService.js';
 import { logger } from '../utils/logger.js';
-import { RedisStorage } from '../storage/RedisStorage.js';
-import { MemoryStorage } from '../storage/MemoryStorage.js';
+import { messageQueue } from '../utils/messageQueue.js';
+import { JobQueue } from '../utils/jobQueue.js';
+import { createStorage } from '../storage/index.js';
 
 // Circuit breaker for external services
 class CircuitBreaker {
@@ -104,6 +105,7 @@ class ProductionServer {
     this.server = null;
     this.botService = null;
     this.webhookController = null;
+    this.updateQueue = null;
     this.storage = null;
     this.userSessionService = null;
     this.isShuttingDown = false;
@@ -146,13 +148,13 @@ class ProductionServer {
       if (this.isShuttingDown) return;
       
       try {
-        // Check Redis connection
-        if (this.storage?.ping) {
+        // Check storage connection
+        if (this.storage) {
           await this.redisCircuitBreaker.execute(() => this.storage.ping());
         }
         
         // Check database connection
-        if (config.supabase.enabled && dbService.isInitialized()) {
+        if (dbService.isInitialized()) {
           await this.dbCircuitBreaker.execute(() => dbService.ping());
         }
         
@@ -238,18 +240,13 @@ class ProductionServer {
       config.validate();
       
       // Initialize storage with circuit breaker
-      this.storage = config.redis 
-        ? new RedisStorage(config.redis)
-        : new MemoryStorage();
-      
-      if (config.redis) {
-        await this.redisCircuitBreaker.execute(() => this.storage.ping());
-      }
+      this.storage = createStorage(config.storage);
+      await this.redisCircuitBreaker.execute(() => this.storage.ping());
       
       // Initialize database with circuit breaker
-      if (config.supabase.enabled) {
+      if (config.database.driver) {
         await this.dbCircuitBreaker.execute(async () => {
-          await dbService.init(config.supabase.url, config.supabase.key);
+          dbService.init(config.database);
           if (!dbService.isInitialized()) {
             throw new Error('Failed to initialize database');
           }
@@ -285,8 +282,14 @@ class ProductionServer {
         throw new Error('Webhook verification failed');
       }
       
+      // Updates are persisted before processing so a restart does not lose them
+      this.updateQueue = new JobQueue(this.storage, { name: 'updates', ...config.queue });
+      this.updateQueue.start((update, job) => this.botService.processUpdate(update, {
+        final: this.updateQueue.isLastAttempt(job)
+      }));
+
       // Initialize controllers
-      this.webhookController = new WebhookController(this.botService);
+      this.webhookController = new WebhookController(this.botService, this.updateQueue);
       
       // Initialize server
       this.server = new Server(config.server.port);
@@ -312,12 +315,13 @@ class ProductionServer {
           database: this.dbCircuitBreaker.state
         },
         storage: {
-          type: config.redis ? 'redis' : 'memory',
-          status: this.storage?.isConnected() ? 'connected' : 'disconnected'
+          type: config.storage.driver,
+          status: this.storage?.status().connected ? 'connected' : 'disconnected'
         },
         database: {
-          enabled: config.supabase.enabled,
-          status: config.supabase.enabled && dbService.isInitialized() ? 'connected' : 'disabled'
+          enabled: !!config.database.driver,
+          driver: config.database.driver,
+          status: dbService.isInitialized() ? 'connected' : 'disabled'
         },
         bot: {
           initialized: this.botService?.isInitialized || false,
@@ -329,7 +333,8 @@ class ProductionServer {
         },
         openai: {
           status: openaiService.isInitialized() ? 'connected' : 'disconnected'
-        }
+        },
+        messageQueue: messageQueue.getMetrics()
       });
     });
 
@@ -354,13 +359,18 @@ class ProductionServer {
       }
 
       try {
-        // Handle update with circuit breakers
-        await this.openaiCircuitBreaker.execute(async () => {
+        // The webhook only writes to the update queue, so storage health decides
+        await this.redisCircuitBreaker.execute(async () => {
           await this.webhookController.handleUpdate(req, res);
         });
       } catch (error) {
+        // The controller already answered a failed enqueue, the breaker only had to count it
+        if (res.headersSent) {
+          return;
+        }
+
         if (error.message === 'Circuit breaker is OPEN') {
-          logger.error('OpenAI circuit breaker is open, service degraded');
+          logger.error('Storage circuit breaker is open, service degraded');
           res.status(503).json({ error: 'Service temporarily unavailable' });
         } else {
           logger.error('Webhook handler error:', error);
@@ -390,19 +400,24 @@ class ProductionServer {
         await this.server.shutdown();
       }
 
+      // Stop taking updates, unfinished ones are retried after restart
+      if (this.updateQueue) {
+        await this.updateQueue.stop();
+      }
+
       // Cleanup bot resources
       if (this.botService?.getBot()) {
         await this.botService.getBot().deleteWebHook();
         await this.botService.getBot().close();
       }
 
-      // Close Redis connection if using Redis
-      if (this.storage?.quit) {
-        await this.storage.quit();
+      // Close storage connections
+      if (this.storage) {
+        await this.storage.close();
       }
 
-      // Close database connection if using Supabase
-      if (config.supabase.enabled && dbService.isInitialized()) {
+      // Close database connections
+      if (dbService.isInitialized()) {
         await dbService.close();
       }
 
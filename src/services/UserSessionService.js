@@ -11,10 +11,28 @@ export class UserSessionService {
     }
     this.storage = storage;
     this.keyPrefix = 'thread:';
+    this.handoffPrefix = 'handoff:';
+    this.operatorPrefix = 'operator:';
+    this.relayPrefix = 'relay:';
+    this.topicPrefix = 'topic:';
+    this.topicChatPrefix = 'topic-chat:';
+    this.updatePrefix = 'update:';
+    this.startedPrefix = 'started:';
+    this.contextPrefix = 'context:';
     this.defaultTTL = 24 * 60 * 60; // 24 hours
     this.maxTTL = 7 * 24 * 60 * 60; // 7 days
   }
 
+  /**
+   * Initialize service and verify storage is reachable
+   */
+  async init() {
+    if (this.storage.ping) {
+      await this.storage.ping();
+    }
+    logger.info('User session service initialized');
+  }
+
   /**
    * Validate chat ID
    */
@@ -50,6 +68,14 @@ export class UserSessionService {
     return `${this.keyPrefix}${chatId}`;
   }
 
+  /**
+   * Generate handoff storage key for chat
+   */
+  getHandoffKey(chatId) {
+    this.validateChatId(chatId);
+    return `${this.handoffPrefix}${chatId}`;
+  }
+
   /**
    * Store user thread with TTL and validation
    */
@@ -61,6 +87,8 @@ export class UserSessionService {
 
       const key = this.getKey(chatId);
       await this.storage.setEx(key, threadId, ttl);
+      // Start time outlives TTL refreshes of the thread key
+      await this.storage.setEx(`${this.startedPrefix}${chatId}`, new Date().toISOString(), this.maxTTL);
       
       logger.info('Thread stored:', { 
         chatId, 
@@ -143,6 +171,8 @@ export class UserSessionService {
       this.validateChatId(chatId);
       const key = this.getKey(chatId);
       await this.storage.del(key);
+      await this.storage.del(`${this.startedPrefix}${chatId}`);
+      await this.storage.del(`${this.contextPrefix}${chatId}`);
       
       logger.info('Thread deleted:', { chatId });
     } catch (error) {
@@ -154,6 +184,60 @@ export class UserSessionService {
     }
   }
 
+  /**
+   * Store extra assistant instructions for the chat's session, e.g. from a campaign
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} context - Additional instructions for assistant runs
+   * @param {number} ttl - Time to live in seconds, the longest session by default
+   */
+  async setSessionContext(chatId, context, ttl = this.maxTTL) {
+    this.validateChatId(chatId);
+    this.validateTTL(ttl);
+
+    await this.storage.setEx(`${this.contextPrefix}${chatId}`, context, ttl);
+    logger.info('Session context stored:', { chatId, length: context.length });
+  }
+
+  /**
+   * Get extra assistant instructions of the chat's session
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<string|null>} - Additional instructions
+   */
+  async getSessionContext(chatId) {
+    this.validateChatId(chatId);
+    return (await this.storage.get(`${this.contextPrefix}${chatId}`)) || null;
+  }
+
+  /**
+   * Remove extra assistant instructions of the chat's session
+   * @param {number} chatId - The Telegram chat ID
+   */
+  async clearSessionContext(chatId) {
+    this.validateChatId(chatId);
+    await this.storage.del(`${this.contextPrefix}${chatId}`);
+  }
+
+  /**
+   * Get session details without refreshing its TTL
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<object|null>} - { threadId, startedAt, ttl } or null without a session
+   */
+  async getSessionInfo(chatId) {
+    const threadId = await this.getThread(chatId, false);
+    if (!threadId) {
+      return null;
+    }
+
+    const startedAt = await this.storage.get(`${this.startedPrefix}${chatId}`);
+    const ttl = await this.storage.ttl(this.getKey(chatId));
+
+    return {
+      threadId,
+      startedAt: startedAt || null,
+      ttl: ttl >= 0 ? ttl : null
+    };
+  }
+
   /**
    * Update thread TTL with validation
    */
@@ -187,6 +271,171 @@ export class UserSessionService {
     }
   }
 
+  /**
+   * Store human handoff state for chat
+   * @param {number} chatId - The Telegram chat ID
+   * @param {object} state - Handoff state ({ enabled, operatorId, since })
+   */
+  async setHandoffState(chatId, state, ttl = this.maxTTL) {
+    try {
+      this.validateChatId(chatId);
+      this.validateTTL(ttl);
+
+      const key = this.getHandoffKey(chatId);
+      await this.storage.setEx(key, JSON.stringify(state), ttl);
+
+      logger.info('Handoff state stored:', {
+        chatId,
+        enabled: state.enabled,
+        operatorId: state.operatorId
+      });
+    } catch (error) {
+      logger.error('Failed to store handoff state:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get human handoff state for chat
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<object|null>} - Handoff state or null if never set
+   */
+  async getHandoffState(chatId) {
+    try {
+      this.validateChatId(chatId);
+      const value = await this.storage.get(this.getHandoffKey(chatId));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Failed to get handoff state:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Remember which customer chat an operator is currently talking to
+   * @param {number} operatorId - Operator chat ID
+   * @param {number} chatId - Customer chat ID
+   */
+  async setOperatorChat(operatorId, chatId, ttl = this.defaultTTL) {
+    this.validateChatId(operatorId);
+    this.validateChatId(chatId);
+    this.validateTTL(ttl);
+
+    await this.storage.setEx(`${this.operatorPrefix}${operatorId}`, String(chatId), ttl);
+    logger.info('Operator chat stored:', { operatorId, chatId });
+  }
+
+  /**
+   * Get customer chat an operator is currently talking to
+   * @param {number} operatorId - Operator chat ID
+   * @returns {Promise<number|null>} - Customer chat ID
+   */
+  async getOperatorChat(operatorId) {
+    this.validateChatId(operatorId);
+    const value = await this.storage.get(`${this.operatorPrefix}${operatorId}`);
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * Forget operator's current customer chat
+   * @param {number} operatorId - Operator chat ID
+   */
+  async clearOperatorChat(operatorId) {
+    this.validateChatId(operatorId);
+    await this.storage.del(`${this.operatorPrefix}${operatorId}`);
+    logger.info('Operator chat cleared:', { operatorId });
+  }
+
+  /**
+   * Map a message forwarded to an operator back to the customer chat
+   * @param {number} operatorId - Operator chat ID
+   * @param {number} messageId - Message ID in the operator chat
+   * @param {number} chatId - Customer chat ID
+   */
+  async setRelayTarget(operatorId, messageId, chatId, ttl = this.defaultTTL) {
+    this.validateChatId(operatorId);
+    this.validateChatId(chatId);
+    this.validateTTL(ttl);
+
+    await this.storage.setEx(`${this.relayPrefix}${operatorId}:${messageId}`, String(chatId), ttl);
+  }
+
+  /**
+   * Get customer chat a forwarded message belongs to
+   * @param {number} operatorId - Operator chat ID
+   * @param {number} messageId - Message ID in the operator chat
+   * @returns {Promise<number|null>} - Customer chat ID
+   */
+  async getRelayTarget(operatorId, messageId) {
+    this.validateChatId(operatorId);
+    const value = await this.storage.get(`${this.relayPrefix}${operatorId}:${messageId}`);
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * Map customer chat to its operator forum topic (both directions)
+   * @param {number} chatId - Customer chat ID
+   * @param {number} topicId - Forum topic message_thread_id
+   */
+  async setTopic(chatId, topicId, ttl = this.maxTTL) {
+    this.validateChatId(chatId);
+    this.validateTTL(ttl);
+
+    await this.storage.setEx(`${this.topicPrefix}${chatId}`, String(topicId), ttl);
+    await this.storage.setEx(`${this.topicChatPrefix}${topicId}`, String(chatId), ttl);
+    logger.info('Topic stored:', { chatId, topicId });
+  }
+
+  /**
+   * Get operator forum topic of a customer chat
+   * @param {number} chatId - Customer chat ID
+   * @returns {Promise<number|null>} - Forum topic message_thread_id
+   */
+  async getTopic(chatId) {
+    this.validateChatId(chatId);
+    const value = await this.storage.get(`${this.topicPrefix}${chatId}`);
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * Get customer chat of an operator forum topic
+   * @param {number} topicId - Forum topic message_thread_id
+   * @returns {Promise<number|null>} - Customer chat ID
+   */
+  async getTopicChat(topicId) {
+    const value = await this.storage.get(`${this.topicChatPrefix}${topicId}`);
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * Record a Telegram update ID, atomically
+   * @param {number} updateId - Telegram update_id
+   * @param {number} ttl - Seconds to remember the update
+   * @returns {Promise<boolean>} - True the first time, false for a redelivery
+   */
+  async markUpdateSeen(updateId, ttl = this.defaultTTL) {
+    if (!Number.isInteger(updateId)) {
+      throw new Error('Invalid update ID');
+    }
+    this.validateTTL(ttl);
+
+    return this.storage.setNx(`${this.updatePrefix}${updateId}`, '1', ttl);
+  }
+
+  /**
+   * Forget a recorded update ID so a redelivery is processed again
+   * @param {number} updateId - Telegram update_id
+   */
+  async forgetUpdate(updateId) {
+    await this.storage.del(`${this.updatePrefix}${updateId}`);
+  }
+
   /**
    * Get all active threads
    */
@@ -5,8 +5,19 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { dbService } from './dbService.js';
+import { openaiService } from './openaiService.js';
+import { escapeHtml, htmlToPlainText } from '../utils/html.js';
+import { markdownToTelegramHtml } from '../utils/markdown.js';
+import { splitMessage, MAX_MESSAGE_LENGTH } from '../utils/messageSplitter.js';
+import { SendScheduler } from '../utils/sendScheduler.js';
+import { encodeCallbackData } from '../utils/callbackData.js';
 import { registerMessageHandler } from '../handlers/messageHandler.js';
 import { registerCommandHandlers } from '../handlers/commandHandler.js';
+import { registerCallbackHandlers } from '../handlers/callbackHandler.js';
+
+// Message kinds named in logs of messages without text
+const MESSAGE_KINDS = ['photo', 'document', 'voice', 'video', 'video_note', 'audio', 'sticker', 'location', 'contact'];
 
 export class BotService {
   constructor(userSessionService) {
@@ -15,6 +26,8 @@ export class BotService {
     }
     this.bot = null;
     this.userSessionService = userSessionService;
+    this.sendScheduler = new SendScheduler(config.telegram.rateLimits);
+    this.dispatch = null; // Update being dispatched by processUpdate
     this.isInitialized = false;
     this.initializationError = null;
   }
@@ -34,6 +47,13 @@ export class BotService {
       const options = this.getBotOptions(mode);
       this.bot = new TelegramBot(config.telegram.token, options);
 
+      // Every request to a chat, including chat actions and operator notifications, is rate limited
+      this.sendScheduler.attach(this.bot);
+
+      if (options.polling) {
+        this.deduplicatePolledUpdates();
+      }
+
       // Verify token and connection
       await this.verifyBotConnection();
 
@@ -77,21 +97,41 @@ export class BotService {
    */
   async registerHandlers() {
     try {
-      await registerMessageHandler(this.bot);
-      await registerCommandHandlers(this.bot);
+      await registerMessageHandler(this.bot, this);
+      await registerCommandHandlers(this.bot, this);
+      await registerCallbackHandlers(this.bot, this);
+      await this.setupCommandMenu();
       logger.info('Bot handlers registered successfully');
     } catch (error) {
       throw new Error(`Failed to register handlers: ${error.message}`);
     }
   }
 
+  /**
+   * Show user commands in the Telegram bot menu
+   * A failure only affects the menu, so it is not fatal
+   */
+  async setupCommandMenu() {
+    try {
+      await this.bot.setMyCommands([
+        { command: 'start', description: 'Start a new conversation' },
+        { command: 'reset', description: 'Archive this conversation and start fresh' },
+        { command: 'end', description: 'End the conversation' },
+        { command: 'status', description: 'Show session status' },
+        { command: 'help', description: 'Show available commands' }
+      ]);
+    } catch (error) {
+      logger.warn('Failed to set bot commands menu', { error: error.message });
+    }
+  }
+
   /**
    * Get bot instance options based on mode
    */
   getBotOptions(mode) {
     const baseOptions = {
       polling: false,
-      filepath: false // Disable file downloads for security
+      filepath: false // Never read local paths when sending files, incoming files are streamed
     };
 
     if (mode === 'development') {
@@ -188,25 +228,132 @@ export class BotService {
     return this.bot;
   }
 
+  /**
+   * Record update ID and check whether the update was already received
+   * Storage errors let the update through, a rare double reply beats a lost message
+   * @param {object} update - Telegram update
+   * @returns {Promise<boolean>} - Whether the update is a duplicate
+   */
+  async isDuplicateUpdate(update) {
+    try {
+      const isNew = await this.userSessionService.markUpdateSeen(update.update_id, config.telegram.updateDedupTTL);
+      if (!isNew) {
+        logger.warn('Duplicate update skipped', { updateId: update.update_id });
+      }
+      return !isNew;
+    } catch (error) {
+      logger.error('Failed to check update for duplicates:', error, { updateId: update.update_id });
+      return false;
+    }
+  }
+
+  /**
+   * Forget an update ID when the update could not be accepted, so Telegram's redelivery goes through
+   * @param {object} update - Telegram update
+   */
+  async forgetUpdate(update) {
+    try {
+      await this.userSessionService.forgetUpdate(update.update_id);
+    } catch (error) {
+      logger.error('Failed to forget update:', error, { updateId: update.update_id });
+    }
+  }
+
+  /**
+   * Skip duplicate updates received by polling before they reach the handlers
+   * Updates are checked one after another so their order is kept
+   */
+  deduplicatePolledUpdates() {
+    const processUpdate = this.bot.processUpdate.bind(this.bot);
+    let pending = Promise.resolve();
+
+    this.bot.processUpdate = (update) => {
+      pending = pending
+        .then(async () => {
+          if (!await this.isDuplicateUpdate(update)) {
+            processUpdate(update);
+          }
+        })
+        .catch(error => {
+          logger.error('Failed to process polled update:', error, { updateId: update.update_id });
+        });
+    };
+  }
+
+  /**
+   * Dispatch an update taken from the job queue to the bot handlers
+   * Resolves once the work the handlers reported with trackUpdate is done, so the job is
+   * acknowledged only then, and rejects with the first failure so the job is retried
+   * @param {object} update - Telegram update
+   * @param {object} options - Dispatch options
+   * @param {boolean} options.final - Whether a failure will not be retried
+   */
+  async processUpdate(update, { final = true } = {}) {
+    const dispatch = { tasks: [], final };
+
+    // The library calls handlers synchronously, so they all see this dispatch
+    this.dispatch = dispatch;
+    try {
+      this.getBot().processUpdate(update);
+    } finally {
+      this.dispatch = null;
+    }
+
+    const results = await Promise.allSettled(dispatch.tasks);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  /**
+   * Report work a handler started for the update being dispatched
+   * Outside processUpdate, e.g. in polling mode, failures are only logged
+   * @param {Promise} task - Handler work
+   */
+  trackUpdate(task) {
+    if (this.dispatch) {
+      this.dispatch.tasks.push(task);
+      return;
+    }
+
+    task.catch(error => {
+      logger.error('Update handler failed:', error);
+    });
+  }
+
+  /**
+   * Check if a failure of the update being dispatched is final
+   * Handlers tell the user about errors only then, earlier attempts are retried by the job queue
+   * @returns {boolean} - Whether the update will not be retried
+   */
+  isFinalAttempt() {
+    return this.dispatch?.final ?? true;
+  }
+
   /**
    * Send message with improved retry logic and validation
+   * Long text is split into several messages; pass pageFooter to number them
    */
   async sendMessage(chatId, text, options = {}) {
     if (!chatId || !text) {
       throw new Error('ChatId and text are required');
     }
 
+    const { pageFooter = config.telegram.pageFooter, ...telegramOptions } = options;
     const maxRetries = 3;
-    const maxLength = 4096; // Telegram message length limit
     let lastError = null;
 
-    // Split long messages
-    if (text.length > maxLength) {
-      const parts = text.match(new RegExp(`.{1,${maxLength}}`, 'g')) || [];
+    // Split long messages at paragraph, sentence or word boundaries
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      const parts = splitMessage(text, {
+        html: (telegramOptions.parse_mode ?? 'HTML') === 'HTML',
+        pageFooter
+      });
       const results = [];
       
       for (const part of parts) {
-        results.push(await this.sendMessage(chatId, part, options));
+        results.push(await this.sendMessage(chatId, part, telegramOptions));
       }
       
       return results;
@@ -223,7 +370,7 @@ export class BotService {
         const result = await this.bot.sendMessage(chatId, text, {
           parse_mode: 'HTML',
           disable_web_page_preview: true,
-          ...options
+          ...telegramOptions
         });
         
         logger.info('Message sent successfully');
@@ -232,6 +379,16 @@ export class BotService {
         lastError = error;
         logger.warn(`Send message attempt ${i + 1} failed:`, error);
         
+        // Telegram rejects malformed markup, resend the same text without formatting
+        if (this.isParseError(error) && (telegramOptions.parse_mode ?? 'HTML') === 'HTML') {
+          logger.warn('Telegram rejected HTML, sending plain text', { chatId });
+          const { parse_mode, ...plainOptions } = telegramOptions;
+          return this.bot.sendMessage(chatId, htmlToPlainText(text), {
+            disable_web_page_preview: true,
+            ...plainOptions
+          });
+        }
+        
         // Don't retry if it's a client error
         if (error.response && error.response.statusCode >= 400 && error.response.statusCode < 500) {
           throw error;
@@ -246,6 +403,35 @@ export class BotService {
     throw new Error(`Failed to send message after ${maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Check if Telegram rejected message formatting
+   * @param {Error} error - Telegram API error
+   * @returns {boolean} - Whether the error is an entity parse error
+   */
+  isParseError(error) {
+    return error.response?.statusCode === 400 && 
+           /can't parse entities/i.test(error.message || '');
+  }
+
+  /**
+   * Check if Telegram rejected a message because its forum topic is gone
+   * @param {Error} error - Telegram API error
+   * @returns {boolean} - Whether the topic was deleted
+   */
+  isTopicMissingError(error) {
+    return error.response?.statusCode === 400 &&
+           /message thread not found|TOPIC_DELETED/i.test(error.message || '');
+  }
+
+  /**
+   * Send assistant reply, rendering its Markdown as Telegram HTML
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} markdown - Assistant response
+   */
+  async sendAssistantMessage(chatId, markdown) {
+    return this.sendMessage(chatId, markdownToTelegramHtml(markdown));
+  }
+
   /**
    * Get service health status
    */
@@ -263,6 +449,10 @@ export class BotService {
   async storeUserThread(chatId, threadId) {
     try {
       await this.userSessionService.storeThread(chatId, threadId);
+      // Campaign context belongs to the previous thread
+      await this.userSessionService.clearSessionContext(chatId);
+      await dbService.storeUserSession(chatId, threadId);
+      this.logConversation(chatId, 'system', 'Session started', { threadId });
       logger.info('Thread stored:', { chatId, threadId });
     } catch (error) {
       logger.error('Failed to store thread:', error);
@@ -284,6 +474,92 @@ export class BotService {
     }
   }
 
+  /**
+   * Get chat's thread, starting a session if there is none
+   * An expired session is restored from the database when enabled, so context carries over.
+   * Sessions are created automatically only in private chats, groups need /start.
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} chatType - Telegram chat type, e.g. 'private' or 'supergroup'
+   * @returns {Promise<{threadId: string, created: boolean, restored: boolean}|null>} - Null if
+   *   there is no thread and none may be created
+   */
+  async ensureUserThread(chatId, chatType) {
+    const threadId = await this.getUserThread(chatId);
+    if (threadId) {
+      return { threadId, created: false, restored: false };
+    }
+
+    if (config.sessions.restoreFromDatabase) {
+      const session = await dbService.getUserSession(chatId);
+      if (session?.thread_id) {
+        await this.userSessionService.storeThread(chatId, session.thread_id);
+        if (session.start_payload) {
+          const campaign = await dbService.getCampaign(session.start_payload);
+          if (campaign?.context) {
+            await this.userSessionService.setSessionContext(chatId, campaign.context);
+          }
+        }
+        logger.info('Thread restored from database:', { chatId, threadId: session.thread_id });
+        return { threadId: session.thread_id, created: false, restored: true };
+      }
+    }
+
+    if (!config.sessions.autoCreate || chatType !== 'private') {
+      return null;
+    }
+
+    const newThreadId = await openaiService.createThread();
+    await this.storeUserThread(chatId, newThreadId);
+    logger.info('Thread created on first message:', { chatId, threadId: newThreadId });
+    return { threadId: newThreadId, created: true, restored: false };
+  }
+
+  /**
+   * Attribute a new session to the campaign of a deep-link /start payload
+   * The campaign's context is added to the assistant instructions for the rest of the session
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} threadId - Thread of the new session
+   * @param {string} payload - The /start payload
+   * @returns {Promise<object|null>} - Campaign row or null if the payload is not mapped
+   */
+  async applyStartPayload(chatId, threadId, payload) {
+    const campaign = await dbService.getCampaign(payload);
+
+    // Unmapped payloads are still recorded, so new links show up in the report
+    await dbService.logCampaignSession({
+      chatId,
+      threadId,
+      payload,
+      campaign: campaign?.campaign || payload
+    });
+
+    if (campaign?.context) {
+      await this.userSessionService.setSessionContext(chatId, campaign.context);
+    }
+
+    logger.info('Session started from deep link:', {
+      persistent: true,
+      chatId,
+      payload,
+      campaign: campaign?.campaign || null
+    });
+    return campaign;
+  }
+
+  /**
+   * Get additional assistant instructions of the chat's session
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<string|null>} - Campaign context or null
+   */
+  async getSessionContext(chatId) {
+    try {
+      return await this.userSessionService.getSessionContext(chatId);
+    } catch (error) {
+      logger.error('Failed to get session context:', error, { chatId });
+      return null;
+    }
+  }
+
   /**
    * Check if user has active thread
    */
@@ -297,7 +573,571 @@ export class BotService {
       throw error;
     }
   }
-}
 
-export const botService = new BotService();
+  /**
+   * Close user session: archive its thread, drop the thread key and leave human handoff
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} reason - 'reset' or 'end'
+   * @returns {Promise<boolean>} - Whether there was a session to close
+   */
+  async closeSession(chatId, reason) {
+    const session = await this.userSessionService.getSessionInfo(chatId);
+    if (!session) {
+      return false;
+    }
+
+    await dbService.archiveThread({
+      chatId,
+      threadId: session.threadId,
+      reason,
+      startedAt: session.startedAt
+    });
+
+    if (await this.isInHumanHandoff(chatId)) {
+      await this.setHumanHandoff(chatId, false);
+    }
+
+    await this.userSessionService.deleteThread(chatId);
+    if (reason === 'end') {
+      await dbService.deleteUserSession(chatId);
+    }
+
+    this.logConversation(chatId, 'system', `Session closed (${reason})`, { threadId: session.threadId });
+    logger.info('Session closed:', { chatId, threadId: session.threadId, reason });
+    return true;
+  }
 
+  /**
+   * Get session status for the user
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<object|null>} - { threadId, startedAt, ttl, humanHandoff } or null without a session
+   */
+  async getSessionStatus(chatId) {
+    const session = await this.userSessionService.getSessionInfo(chatId);
+    if (!session) {
+      return null;
+    }
+
+    return {
+      ...session,
+      humanHandoff: await this.isInHumanHandoff(chatId)
+    };
+  }
+
+  /**
+   * Enable or disable human handoff for chat
+   * Session storage is the source of truth, the database is kept as a mirror
+   * @param {number} chatId - The Telegram chat ID
+   * @param {boolean} enabled - Whether to enable human handoff
+   * @param {number|null} operatorId - Operator chat ID taking over the chat
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setHumanHandoff(chatId, enabled, operatorId = null) {
+    try {
+      const previous = await this.userSessionService.getHandoffState(chatId);
+      if (previous?.operatorId && previous.operatorId !== operatorId) {
+        await this.userSessionService.clearOperatorChat(previous.operatorId);
+      }
+      if (enabled && operatorId) {
+        await this.userSessionService.setOperatorChat(operatorId, chatId);
+      }
+
+      await this.userSessionService.setHandoffState(chatId, {
+        enabled,
+        operatorId: enabled ? operatorId : null,
+        since: new Date().toISOString()
+      });
+      await dbService.setHumanHandoff(chatId, enabled);
+    } catch (error) {
+      logger.error('Failed to update human handoff:', error, { chatId, enabled });
+      return false;
+    }
+
+    // The handoff happened even if the campaign report or the topic cannot be updated
+    if (enabled) {
+      await this.markCampaignEvent(chatId, 'transferred').catch(error => {
+        logger.error('Failed to mark campaign transfer:', error, { chatId });
+      });
+    }
+
+    if (config.telegram.operatorGroupId) {
+      await this.updateCustomerTopic(chatId, enabled).catch(error => {
+        logger.error('Failed to update operator topic:', error, { chatId, enabled });
+      });
+    }
+
+    this.logConversation(chatId, 'system', enabled ? 'Human handoff enabled' : 'Human handoff disabled', {
+      operatorId: enabled ? operatorId : null
+    });
+    logger.info('Human handoff updated:', { chatId, enabled, operatorId });
+    return true;
+  }
+
+  /**
+   * Let an operator take over a chat and tell the customer
+   * @param {number} chatId - Customer chat ID
+   * @param {number} operatorId - Operator chat ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async takeOverChat(chatId, operatorId) {
+    const success = await this.setHumanHandoff(chatId, true, operatorId);
+    if (success) {
+      await this.bot.sendMessage(chatId, "You are now connected to a human operator.");
+    }
+    return success;
+  }
+
+  /**
+   * Return a chat to the assistant and tell the customer
+   * @param {number} chatId - Customer chat ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async returnToAssistant(chatId) {
+    const success = await this.setHumanHandoff(chatId, false);
+    if (success) {
+      await this.bot.sendMessage(chatId, "You are now connected to the AI assistant again.");
+    }
+    return success;
+  }
+
+  /**
+   * Get human handoff state, restoring it from the database if storage has none
+   * Throws if the database cannot be read, so a chat in handoff never falls back to the assistant
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<object>} - Handoff state ({ enabled, operatorId, since })
+   */
+  async getHandoffState(chatId) {
+    const state = await this.userSessionService.getHandoffState(chatId);
+    if (state) {
+      return state;
+    }
+
+    const session = await dbService.getUserSession(chatId);
+    const restored = {
+      enabled: !!session?.human_handoff,
+      operatorId: null,
+      since: session?.updated_at || new Date().toISOString()
+    };
+
+    // Cache the result of the successful read so the database is only asked once per chat
+    await this.userSessionService.setHandoffState(chatId, restored);
+    return restored;
+  }
+
+  /**
+   * Check if chat is in human handoff mode
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<boolean>} - Whether human handoff is enabled
+   */
+  async isInHumanHandoff(chatId) {
+    try {
+      const state = await this.getHandoffState(chatId);
+      return state.enabled;
+    } catch (error) {
+      logger.error('Failed to check human handoff:', error, { chatId });
+      throw error;
+    }
+  }
+
+  /**
+   * Log conversation message to the database in the background
+   * Nothing is awaited, so a slow database never delays replies
+   * @param {number} chatId - Customer chat ID
+   * @param {string} role - 'user', 'assistant', 'operator' or 'system'
+   * @param {string} content - Message text
+   * @param {object} details - Thread ID, run ID, Telegram message IDs, operator ID and latency,
+   *   the chat's current thread is used if no thread ID is given
+   */
+  logConversation(chatId, role, content, details = {}) {
+    (async () => {
+      const threadId = details.threadId ?? await this.userSessionService.getThread(chatId, false);
+      await dbService.logMessage(chatId, role, content, { ...details, threadId });
+    })().catch(error => {
+      logger.error('Failed to log conversation message:', error, { chatId, role });
+    });
+  }
+
+  /**
+   * Get loggable text of a message, naming its kind if it has no text
+   * @param {object} msg - Telegram message
+   * @returns {string} - Text, or caption after the kind, e.g. "[photo] My passport"
+   */
+  describeMessage(msg) {
+    const kind = MESSAGE_KINDS.find(name => msg[name]);
+    const label = kind === 'document' && msg.document.file_name
+      ? `[document: ${msg.document.file_name}]`
+      : kind && `[${kind}]`;
+
+    return [label, msg.text ?? msg.caption].filter(Boolean).join(' ') || '[message]';
+  }
+
+  /**
+   * Get chat IDs of all users with an active thread
+   * @returns {Promise<Array<number>>} - Array of chat IDs
+   */
+  async getActiveUsers() {
+    const threads = await this.userSessionService.getAllActiveThreads();
+    return threads.map(({ chatId }) => chatId);
+  }
+
+  /**
+   * Get recent conversation history in chronological order
+   * @param {number} chatId - The Telegram chat ID
+   * @param {number} limit - Maximum number of messages to retrieve
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async getConversationHistory(chatId, limit = 10) {
+    return dbService.getRecentMessages(chatId, limit);
+  }
+
+  /**
+   * Record that a chat converted, for the campaign report
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<boolean>} - Whether the chat has a campaign session without a conversion
+   */
+  async markConversion(chatId) {
+    return this.markCampaignEvent(chatId, 'converted');
+  }
+
+  /**
+   * Record a transfer or conversion on the chat's latest campaign session
+   * A session started without a deep link is not attributed to an earlier campaign
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} event - 'transferred' or 'converted'
+   * @returns {Promise<boolean>} - Whether a campaign session was marked
+   */
+  async markCampaignEvent(chatId, event) {
+    const session = await dbService.getUserSession(chatId);
+    if (session && !session.start_payload) {
+      return false;
+    }
+    return dbService.markCampaignSession(chatId, event);
+  }
+
+  /**
+   * Get sessions, transfers and conversions per campaign
+   * @returns {Promise<Array>} - Report rows
+   */
+  async getCampaignReport() {
+    return dbService.getCampaignReport();
+  }
+
+  /**
+   * Format conversation history for operators
+   * @param {number} chatId - The Telegram chat ID
+   * @param {Array} messages - Messages in chronological order
+   * @returns {string} - Plain text history
+   */
+  formatHistory(chatId, messages) {
+    let text = `Recent conversation for chat ${chatId}:\n\n`;
+
+    messages.forEach(msg => {
+      const role = msg.role === 'user' ? '👤 User' : 
+                  msg.role === 'assistant' ? '🤖 Bot' :
+                  msg.role === 'operator' ? '👨‍💼 Operator' : '⚙️ System';
+      
+      const timestamp = new Date(msg.created_at).toLocaleString();
+      text += `${role} (${timestamp}):\n${msg.content}\n\n`;
+    });
+
+    return text;
+  }
+
+  /**
+   * Build operator action buttons for a customer chat
+   * @param {number} chatId - Customer chat ID
+   * @returns {object} - Inline keyboard markup
+   */
+  getOperatorKeyboard(chatId) {
+    return {
+      inline_keyboard: [
+        [
+          { text: '🙋 Take chat', callback_data: encodeCallbackData('op', 'take', [chatId]) },
+          { text: '🤖 Return to AI', callback_data: encodeCallbackData('op', 'ai', [chatId]) }
+        ],
+        [
+          { text: '📜 Show history', callback_data: encodeCallbackData('op', 'history', [chatId]) }
+        ]
+      ]
+    };
+  }
+
+  /**
+   * Transfer customer to a human operator on the assistant's request
+   * @param {number} chatId - Customer chat ID
+   * @param {object} details - Transfer details
+   * @param {string} details.reason - Why the assistant transferred the customer
+   * @param {object} details.from - Telegram user who triggered the transfer
+   * @returns {Promise<boolean>} - Success status
+   */
+  async transferToOperator(chatId, { reason = '', from = {} } = {}) {
+    const success = await this.setHumanHandoff(chatId, true);
+    if (!success) {
+      return false;
+    }
+
+    await dbService.logOperatorTransfer(chatId);
+
+    await this.sendMessage(chatId, 
+      `${escapeHtml(config.telegram.operatorTransferMessage)}\n${escapeHtml(config.telegram.operatorChatLink)}`);
+
+    await this.notifyOperators(chatId,
+      `🔔 <b>${escapeHtml(this.formatSender(from))}</b>, chat <code>${chatId}</code>, ` +
+      `was transferred to an operator by the assistant.\n\nReason: ${escapeHtml(reason || 'not specified')}`);
+
+    logger.info('Chat transferred to operator', { chatId, reason });
+    return true;
+  }
+
+  /**
+   * Notify operators about a customer chat
+   * Goes to the customer's forum topic and to the operator chat, whichever is configured
+   * @param {number} chatId - Customer chat ID
+   * @param {string} text - HTML notification text
+   */
+  async notifyOperators(chatId, text) {
+    if (config.telegram.operatorGroupId) {
+      try {
+        const topicId = await this.ensureCustomerTopic(chatId);
+        await this.sendMessage(config.telegram.operatorGroupId, text, {
+          message_thread_id: topicId,
+          reply_markup: this.getOperatorKeyboard(chatId)
+        });
+      } catch (error) {
+        logger.error('Failed to notify operator topic:', error, { chatId });
+      }
+    }
+
+    const operatorId = config.telegram.operatorChatId;
+    if (operatorId) {
+      try {
+        const result = await this.sendMessage(operatorId, text, { reply_markup: this.getOperatorKeyboard(chatId) });
+        for (const sent of [result].flat()) {
+          await this.userSessionService.setRelayTarget(operatorId, sent.message_id, chatId);
+        }
+      } catch (error) {
+        logger.error('Failed to notify operator chat:', error, { chatId, operatorId });
+      }
+    }
+  }
+
+  /**
+   * Format Telegram user for operator messages
+   * @param {object} from - Telegram user object
+   * @returns {string} - Display name with username if present
+   */
+  formatSender(from = {}) {
+    const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || 'Unknown user';
+    return from.username ? `${name} (@${from.username})` : name;
+  }
+
+  /**
+   * Forward customer message to the operators handling the chat
+   * Messages are mirrored into the customer's forum topic when an operator
+   * group is configured, and sent to the assigned operator if there is one
+   * @param {object} msg - Telegram message from the customer
+   * @returns {Promise<boolean>} - Whether the message reached an operator
+   */
+  async forwardToOperator(msg) {
+    const chatId = msg.chat.id;
+    const state = await this.getHandoffState(chatId);
+    let delivered = false;
+
+    if (config.telegram.operatorGroupId) {
+      await this.mirrorToTopic(msg);
+      delivered = true;
+    }
+
+    const operatorId = state.operatorId || (delivered ? null : config.telegram.operatorChatId);
+    if (operatorId) {
+      await this.forwardToOperatorChat(msg, operatorId);
+      delivered = true;
+    }
+
+    if (!delivered) {
+      logger.warn('No operator available for handoff chat', { chatId });
+    }
+
+    this.logConversation(chatId, 'user', this.describeMessage(msg), { telegramMessageIds: [msg.message_id] });
+    return delivered;
+  }
+
+  /**
+   * Send customer message to an operator's private chat
+   * @param {object} msg - Telegram message from the customer
+   * @param {number} operatorId - Operator chat ID
+   */
+  async forwardToOperatorChat(msg, operatorId) {
+    const chatId = msg.chat.id;
+    const header = `💬 <b>${escapeHtml(this.formatSender(msg.from))}</b>, chat <code>${chatId}</code>`;
+    const sent = [];
+
+    if (msg.text) {
+      sent.push(await this.sendMessage(operatorId, `${header}\n\n${escapeHtml(msg.text)}`));
+    } else {
+      sent.push(await this.sendMessage(operatorId, header));
+      sent.push(await this.bot.copyMessage(operatorId, chatId, msg.message_id));
+    }
+
+    // Remember forwarded messages so operator replies find their way back
+    for (const result of sent.flat()) {
+      await this.userSessionService.setRelayTarget(operatorId, result.message_id, chatId);
+    }
+
+    logger.info('Message forwarded to operator', { chatId, operatorId });
+  }
+
+  /**
+   * Mirror customer message into the customer's operator forum topic
+   * A topic deleted by operators is recreated once, other errors are thrown
+   * @param {object} msg - Telegram message from the customer
+   */
+  async mirrorToTopic(msg) {
+    const chatId = msg.chat.id;
+    const groupId = config.telegram.operatorGroupId;
+    let topicId = await this.ensureCustomerTopic(chatId);
+
+    try {
+      await this.bot.copyMessage(groupId, chatId, msg.message_id, { message_thread_id: topicId });
+    } catch (error) {
+      // Rate limits, network errors and deleted customer messages would only duplicate the topic
+      if (!this.isTopicMissingError(error)) {
+        throw error;
+      }
+
+      logger.warn('Operator topic was deleted, recreating topic', { chatId, topicId, error: error.message });
+      topicId = await this.createCustomerTopic(chatId);
+      await this.bot.copyMessage(groupId, chatId, msg.message_id, { message_thread_id: topicId });
+    }
+
+    logger.info('Message mirrored into operator topic', { chatId, topicId });
+  }
+
+  /**
+   * Get the customer's operator forum topic, creating it if needed
+   * @param {number} chatId - Customer chat ID
+   * @returns {Promise<number>} - Forum topic message_thread_id
+   */
+  async ensureCustomerTopic(chatId) {
+    const topicId = await this.userSessionService.getTopic(chatId);
+    return topicId || this.createCustomerTopic(chatId);
+  }
+
+  /**
+   * Create operator forum topic for a customer chat
+   * @param {number} chatId - Customer chat ID
+   * @returns {Promise<number>} - Forum topic message_thread_id
+   */
+  async createCustomerTopic(chatId) {
+    const groupId = config.telegram.operatorGroupId;
+    const chat = await this.bot.getChat(chatId).catch(() => ({}));
+    const name = `${this.formatSender(chat)} · ${chatId}`.substring(0, 128);
+
+    const topic = await this.bot.createForumTopic(groupId, name);
+    await this.userSessionService.setTopic(chatId, topic.message_thread_id);
+
+    await this.sendMessage(groupId, 
+      `Chat <code>${chatId}</code> is in human handoff. Messages written in this topic are sent to the customer.`,
+      { message_thread_id: topic.message_thread_id, reply_markup: this.getOperatorKeyboard(chatId) });
+
+    logger.info('Operator topic created', { chatId, topicId: topic.message_thread_id });
+    return topic.message_thread_id;
+  }
+
+  /**
+   * Open or close the customer's forum topic when handoff changes
+   * @param {number} chatId - Customer chat ID
+   * @param {boolean} enabled - Whether handoff was enabled
+   */
+  async updateCustomerTopic(chatId, enabled) {
+    const groupId = config.telegram.operatorGroupId;
+    const topicId = await this.userSessionService.getTopic(chatId);
+
+    if (enabled) {
+      if (!topicId) {
+        await this.createCustomerTopic(chatId);
+        return;
+      }
+      // Telegram rejects reopening a topic that is already open
+      await this.bot.reopenForumTopic(groupId, topicId).catch(() => {});
+      await this.sendMessage(groupId, 'Human handoff started again.', { message_thread_id: topicId });
+      return;
+    }
+
+    if (topicId) {
+      await this.sendMessage(groupId, 'Chat returned to the AI assistant.', { message_thread_id: topicId });
+      await this.bot.closeForumTopic(groupId, topicId).catch(() => {});
+    }
+  }
+
+  /**
+   * Relay operator message to the customer it answers
+   * Replies to a forwarded message go to that customer, other messages go
+   * to the chat the operator has taken over
+   * @param {object} msg - Telegram message from the operator
+   * @returns {Promise<boolean>} - Whether the message was handled as a relay
+   */
+  async relayOperatorMessage(msg) {
+    if (config.telegram.operatorGroupId && msg.chat.id === config.telegram.operatorGroupId) {
+      return this.relayTopicMessage(msg);
+    }
+
+    const operatorId = msg.chat.id;
+    const replyTo = msg.reply_to_message;
+
+    const targetChatId = replyTo
+      ? await this.userSessionService.getRelayTarget(operatorId, replyTo.message_id)
+      : await this.userSessionService.getOperatorChat(operatorId);
+
+    if (!targetChatId) {
+      return false;
+    }
+
+    if (!(await this.isInHumanHandoff(targetChatId))) {
+      await this.userSessionService.clearOperatorChat(operatorId);
+      await this.sendMessage(operatorId, `Chat ${targetChatId} is no longer in human handoff mode.`);
+      return true;
+    }
+
+    const copied = await this.bot.copyMessage(targetChatId, operatorId, msg.message_id);
+    await this.userSessionService.setOperatorChat(operatorId, targetChatId);
+    this.logConversation(targetChatId, 'operator', this.describeMessage(msg), {
+      operatorId: msg.from?.id ?? operatorId,
+      telegramMessageIds: [copied.message_id]
+    });
+
+    logger.info('Operator message relayed', { operatorId, chatId: targetChatId });
+    return true;
+  }
+
+  /**
+   * Relay message written in a customer's forum topic to the customer
+   * Messages in the operator group never reach the assistant
+   * @param {object} msg - Telegram message from the operator group
+   * @returns {Promise<boolean>} - Always true, group messages are handled here
+   */
+  async relayTopicMessage(msg) {
+    const topicId = msg.is_topic_message ? msg.message_thread_id : null;
+    const targetChatId = topicId ? await this.userSessionService.getTopicChat(topicId) : null;
+
+    if (!targetChatId || msg.from?.is_bot) {
+      return true;
+    }
+
+    if (!(await this.isInHumanHandoff(targetChatId))) {
+      await this.sendMessage(msg.chat.id, 
+        `Chat ${targetChatId} is no longer in human handoff mode.`,
+        { message_thread_id: topicId });
+      return true;
+    }
+
+    const copied = await this.bot.copyMessage(targetChatId, msg.chat.id, msg.message_id);
+    this.logConversation(targetChatId, 'operator', this.describeMessage(msg), {
+      operatorId: msg.from?.id,
+      telegramMessageIds: [copied.message_id]
+    });
+
+    logger.info('Topic message relayed', { topicId, chatId: targetChatId });
+    return true;
+  }
+}
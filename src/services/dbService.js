@@ -1,27 +1,28 @@
 /**
- * Database Service using Supabase
- * Handles all database operations
+ * Database Service
+ * Handles all database operations through the repository of the configured driver,
+ * see src/db/repository.js
  */
 
-import pkg from '@supabase/supabase-js';
-const { createClient } = pkg;
+import { createRepository } from '../db/repository.js';
 import { logger } from '../utils/logger.js';
 
 class DbService {
   constructor() {
-    this.supabase = null;
+    this.repository = null;
     this.initialized = false;
   }
 
   /**
-   * Initialize database connection with credentials
+   * Initialize database connection
+   * @param {object} settings - Database settings, see config.database
    */
-  init(supabaseUrl, supabaseKey) {
-    if (!this.initialized && supabaseUrl && supabaseKey) {
+  init(settings) {
+    if (!this.initialized && settings?.driver) {
       try {
-        this.supabase = createClient(supabaseUrl, supabaseKey);
+        this.repository = createRepository(settings);
         this.initialized = true;
-        logger.info('Database service initialized');
+        logger.info('Database service initialized', { driver: settings.driver });
       } catch (error) {
         logger.error('Failed to initialize database service', error);
         this.initialized = false;
@@ -38,6 +39,36 @@ class DbService {
     return this.initialized;
   }
   
+  /**
+   * Supabase client, only available with the supabase driver
+   * @returns {SupabaseClient|null} - Client
+   */
+  get supabase() {
+    return this.repository?.supabase || null;
+  }
+
+  /**
+   * Check that the database is reachable, throws if it is not
+   */
+  async ping() {
+    if (!this.initialized) {
+      throw new Error('Database service not initialized');
+    }
+    await this.repository.ping();
+  }
+
+  /**
+   * Close database connections
+   */
+  async close() {
+    if (!this.initialized) return;
+
+    await this.repository.close();
+    this.repository = null;
+    this.initialized = false;
+    logger.info('Database service closed');
+  }
+
   /**
    * Store a user session
    * @param {number} chatId - The Telegram chat ID
@@ -49,16 +80,14 @@ class DbService {
     if (!this.initialized) return null;
     
     try {
-      const { error } = await this.supabase
-        .from('sessions')
-        .upsert({
-          chat_id: chatId,
-          thread_id: threadId,
-          human_handoff: humanHandoff,
-          updated_at: new Date().toISOString()
-        });
-      
-      if (error) throw error;
+      await this.repository.upsertSession({
+        chat_id: chatId,
+        thread_id: threadId,
+        human_handoff: humanHandoff,
+        // A new session has no campaign until a deep-link payload is applied to it
+        start_payload: null,
+        updated_at: new Date().toISOString()
+      });
     } catch (error) {
       logger.error('Error storing user session', error, { chatId, threadId });
       return null;
@@ -67,30 +96,62 @@ class DbService {
   
   /**
    * Get a user session
+   * Like getOperator this throws on database errors, so a failed lookup is not
+   * mistaken for a chat without a session
    * @param {number} chatId - The Telegram chat ID
-   * @returns {Promise<Object>} - The user session
+   * @returns {Promise<Object|null>} - The user session or null if there is none
    */
   async getUserSession(chatId) {
     if (!this.initialized) return null;
     
     try {
-      const { data, error } = await this.supabase
-        .from('sessions')
-        .select('*')
-        .eq('chat_id', chatId)
-        .single();
-        
-      if (error) {
-        if (error.code === 'PGRST116') { // Record not found
-          return null;
-        }
-        throw error;
-      }
-      
-      return data;
+      return await this.repository.getSession(chatId);
     } catch (error) {
       logger.error('Error getting user session', error, { chatId });
-      return null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a user session when the user ends it
+   * @param {number} chatId - The Telegram chat ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteUserSession(chatId) {
+    if (!this.initialized) return false;
+    
+    try {
+      await this.repository.deleteSession(chatId);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting user session', error, { chatId });
+      return false;
+    }
+  }
+  
+  /**
+   * Keep a record of a thread the user closed
+   * @param {object} thread - Archived thread
+   * @param {number} thread.chatId - The Telegram chat ID
+   * @param {string} thread.threadId - The OpenAI thread ID
+   * @param {string} thread.reason - Why it was closed ('reset' or 'end')
+   * @param {string|null} thread.startedAt - When the session started
+   * @returns {Promise<boolean>} - Success status
+   */
+  async archiveThread({ chatId, threadId, reason, startedAt = null }) {
+    if (!this.initialized) return false;
+    
+    try {
+      await this.repository.insertArchivedThread({
+        chat_id: chatId,
+        thread_id: threadId,
+        reason,
+        started_at: startedAt
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error archiving thread', error, { chatId, threadId });
+      return false;
     }
   }
   
@@ -104,15 +165,10 @@ class DbService {
     if (!this.initialized) return false;
     
     try {
-      const { error } = await this.supabase
-        .from('sessions')
-        .update({
-          human_handoff: enabled,
-          updated_at: new Date().toISOString()
-        })
-        .eq('chat_id', chatId);
-        
-      if (error) throw error;
+      await this.repository.updateSession(chatId, {
+        human_handoff: enabled,
+        updated_at: new Date().toISOString()
+      });
       return true;
     } catch (error) {
       logger.error('Error updating human handoff', error, { chatId, enabled });
@@ -128,13 +184,7 @@ class DbService {
     if (!this.initialized) return [];
     
     try {
-      const { data, error } = await this.supabase
-        .from('sessions')
-        .select('*')
-        .order('updated_at', { ascending: false });
-        
-      if (error) throw error;
-      return data || [];
+      return await this.repository.getSessions();
     } catch (error) {
       logger.error('Error getting all sessions', error);
       return [];
@@ -144,23 +194,31 @@ class DbService {
   /**
    * Log a message
    * @param {number} chatId - The Telegram chat ID
-   * @param {string} role - The message role (user/assistant/system)
+   * @param {string} role - The message role (user/assistant/operator/system)
    * @param {string} content - The message content
-   * @returns {Promise<Object>} - The created message log
+   * @param {object} details - Message details
+   * @param {string} details.threadId - The OpenAI thread ID
+   * @param {string} details.runId - Assistant run that produced the reply
+   * @param {Array<number>} details.telegramMessageIds - Telegram messages the log entry covers
+   * @param {number} details.operatorId - Operator who wrote the message
+   * @param {number} details.latencyMs - Milliseconds from handling the user turn to the reply
+   * @returns {Promise<boolean>} - Success status
    */
-  async logMessage(chatId, role, content) {
+  async logMessage(chatId, role, content, { threadId, runId, telegramMessageIds, operatorId, latencyMs } = {}) {
     if (!this.initialized) return null;
     
     try {
-      const { error } = await this.supabase
-        .from('message_logs')
-        .insert({
-          chat_id: chatId,
-          role,
-          content
-        });
-        
-      if (error) throw error;
+      await this.repository.insertMessage({
+        chat_id: chatId,
+        role,
+        content,
+        thread_id: threadId || null,
+        run_id: runId || null,
+        telegram_message_ids: telegramMessageIds?.length ? telegramMessageIds : null,
+        operator_id: operatorId || null,
+        latency_ms: latencyMs ?? null
+      });
+      return true;
     } catch (error) {
       logger.error('Error logging message', error, { chatId, role });
       return null;
@@ -177,21 +235,177 @@ class DbService {
     if (!this.initialized) return [];
     
     try {
-      const { data, error } = await this.supabase
-        .from('message_logs')
-        .select('*')
-        .eq('chat_id', chatId)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-        
-      if (error) throw error;
-      return data.reverse();
+      return await this.repository.getMessages(chatId, limit);
     } catch (error) {
       logger.error('Error getting recent messages', error, { chatId });
       return [];
     }
   }
 
+  /**
+   * Index a stored customer document
+   * @param {object} document - Document row without id
+   * @returns {Promise<Object|null>} - The created row
+   */
+  async logDocument(document) {
+    if (!this.initialized) return null;
+    
+    try {
+      return await this.repository.insertDocument(document);
+    } catch (error) {
+      logger.error('Error logging document', error, { chatId: document.chat_id });
+      return null;
+    }
+  }
+  
+  /**
+   * Get documents a chat sent, oldest first
+   * @param {number} chatId - The Telegram chat ID
+   * @param {number} limit - Maximum number of documents, the most recent are kept
+   * @returns {Promise<Array>} - Document rows
+   */
+  async getDocuments(chatId, limit = 20) {
+    if (!this.initialized) return [];
+    
+    try {
+      return await this.repository.getDocuments(chatId, limit);
+    } catch (error) {
+      logger.error('Error getting documents', error, { chatId });
+      return [];
+    }
+  }
+
+  /**
+   * Get a registered operator
+   * Unlike the other methods this throws on database errors, so a failed lookup
+   * is not mistaken for a user that is not an operator
+   * @param {number} telegramId - The Telegram user ID
+   * @returns {Promise<Object|null>} - The operator record or null if not registered
+   */
+  async getOperator(telegramId) {
+    if (!this.initialized) return null;
+    
+    try {
+      return await this.repository.getOperator(telegramId);
+    } catch (error) {
+      logger.error('Error getting operator', error, { telegramId });
+      throw error;
+    }
+  }
+
+  /**
+   * Log an assistant tool call
+   * @param {object} call - Tool call details
+   * @param {number} call.chatId - The Telegram chat ID
+   * @param {string} call.threadId - The OpenAI thread ID
+   * @param {string} call.runId - The OpenAI run ID
+   * @param {string} call.toolName - Called tool
+   * @param {*} call.args - Tool arguments
+   * @param {*} call.output - Tool output
+   * @param {string} call.status - success, error, invalid, timeout or unknown
+   * @param {number} call.durationMs - Execution time in milliseconds
+   */
+  async logToolCall({ chatId, threadId, runId, toolName, args, output, status, durationMs }) {
+    if (!this.initialized) return null;
+    
+    try {
+      await this.repository.insertToolCall({
+        chat_id: chatId,
+        thread_id: threadId,
+        run_id: runId,
+        tool_name: toolName,
+        arguments: args,
+        output,
+        status,
+        duration_ms: durationMs
+      });
+    } catch (error) {
+      logger.error('Error logging tool call', error, { chatId, toolName });
+      return null;
+    }
+  }
+
+  /**
+   * Get campaign settings of a deep-link /start payload
+   * @param {string} payload - The /start payload
+   * @returns {Promise<Object|null>} - Campaign row or null if the payload is not mapped
+   */
+  async getCampaign(payload) {
+    if (!this.initialized) return null;
+    
+    try {
+      return await this.repository.getCampaign(payload);
+    } catch (error) {
+      logger.error('Error getting campaign', error, { payload });
+      return null;
+    }
+  }
+  
+  /**
+   * Attribute a new session to a campaign
+   * The payload is also stored on the chat's session row
+   * @param {object} session - Campaign session
+   * @param {number} session.chatId - The Telegram chat ID
+   * @param {string} session.threadId - The OpenAI thread ID
+   * @param {string} session.payload - The /start payload
+   * @param {string} session.campaign - Campaign name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async logCampaignSession({ chatId, threadId, payload, campaign }) {
+    if (!this.initialized) return false;
+    
+    try {
+      await this.repository.insertCampaignSession({
+        chat_id: chatId,
+        thread_id: threadId,
+        payload,
+        campaign
+      });
+        
+      await this.repository.updateSession(chatId, {
+        start_payload: payload,
+        updated_at: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error logging campaign session', error, { chatId, payload });
+      return false;
+    }
+  }
+  
+  /**
+   * Record a transfer or conversion on the chat's latest campaign session
+   * Only the first event of each kind is kept
+   * @param {number} chatId - The Telegram chat ID
+   * @param {string} event - 'transferred' or 'converted'
+   * @returns {Promise<boolean>} - Whether a campaign session was updated
+   */
+  async markCampaignSession(chatId, event) {
+    if (!this.initialized) return false;
+    
+    try {
+      return await this.repository.markCampaignSession(chatId, event);
+    } catch (error) {
+      logger.error('Error marking campaign session', error, { chatId, event });
+      return false;
+    }
+  }
+  
+  /**
+   * Get sessions, transfers and conversions per campaign
+   * @returns {Promise<Array>} - Rows of the campaign_report view
+   */
+  async getCampaignReport() {
+    if (!this.initialized) return [];
+    
+    try {
+      return await this.repository.getCampaignReport();
+    } catch (error) {
+      logger.error('Error getting campaign report', error);
+      return [];
+    }
+  }
+
   /**
    * Log operator transfer
    * @param {number} chatId - The chat ID
@@ -200,20 +414,11 @@ class DbService {
     if (!this.initialized) return;
     
     try {
-      const { error } = await this.supabase
-        .from('sessions')
-        .update({ 
-          transferred_to_operator: true,
-          operator_transfer_time: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('chat_id', chatId);
-      
-      if (error) throw error;
-      
-      // Log the transfer in message_logs
-      await this.logMessage(chatId, 'system', 'User transferred to operator');
-      
+      await this.repository.updateSession(chatId, {
+        transferred_to_operator: true,
+        operator_transfer_time: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
     } catch (error) {
       logger.error('Error logging operator transfer', error, { chatId });
     }
@@ -228,14 +433,8 @@ class DbService {
     if (!this.initialized) return false;
     
     try {
-      const { data, error } = await this.supabase
-        .from('sessions')
-        .select('transferred_to_operator')
-        .eq('chat_id', chatId)
-        .single();
-      
-      if (error) throw error;
-      return data?.transferred_to_operator || false;
+      const session = await this.repository.getSession(chatId);
+      return session?.transferred_to_operator || false;
     } catch (error) {
       logger.error('Error checking operator transfer status', error, { chatId });
       return false;
@@ -247,4 +446,4 @@ class DbService {
 const dbService = new DbService();
 
 // Export singleton
-export { dbService }; 
\ No newline at end of file
+export { dbService };
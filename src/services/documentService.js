@@ -0,0 +1,153 @@
+/**
+ * Document service module
+ * Keeps photos and documents customers send so operators can retrieve them later
+ */
+
+import { config } from '../config/config.js';
+import { dbService } from './dbService.js';
+import { mediaService } from './mediaService.js';
+import { LocalBlobStore } from '../storage/LocalBlobStore.js';
+import { SupabaseBlobStore } from '../storage/SupabaseBlobStore.js';
+import { logger } from '../utils/logger.js';
+
+// Media kinds kept for operators, voice notes only reach the assistant as transcripts
+const KEPT_KINDS = ['image', 'document'];
+
+/**
+ * Make file name safe for blob keys
+ * @param {string} fileName - Original file name
+ * @returns {string} - File name with only letters, digits, dots, dashes and underscores
+ */
+const sanitizeFileName = (fileName) => fileName.replace(/[^\w.-]+/g, '_').substring(0, 100);
+
+class DocumentService {
+  /**
+   * @param {object} settings - Storage settings, see config.documents
+   */
+  constructor(settings = config.documents) {
+    this.settings = settings;
+    this.stores = new Map();
+  }
+
+  /**
+   * Get blob store by name, creating it on first use
+   * Documents remember their store, so switching DOCUMENT_STORAGE keeps old files readable
+   * @param {string} name - 'local' or 'supabase'
+   * @returns {LocalBlobStore|SupabaseBlobStore} - Blob store
+   */
+  getStore(name = this.settings.storage) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, this.createStore(name));
+    }
+    return this.stores.get(name);
+  }
+
+  createStore(name) {
+    if (name === 'local') {
+      return new LocalBlobStore({ root: this.settings.localPath });
+    }
+
+    if (name === 'supabase') {
+      if (!dbService.supabase) {
+        throw new Error('The supabase database driver must be used to store documents in Supabase Storage');
+      }
+      return new SupabaseBlobStore({ client: dbService.supabase, bucket: this.settings.bucket });
+    }
+
+    throw new Error(`Unknown document storage: ${name}`);
+  }
+
+  /**
+   * Check if media is kept for operators
+   * @param {object} media - Media from mediaService.getMedia
+   * @returns {boolean} - Whether the media is a photo or document
+   */
+  isKept(media) {
+    return KEPT_KINDS.includes(media.kind);
+  }
+
+  /**
+   * Store a downloaded file and index it in the documents table
+   * Documents are indexed in the database, so nothing is stored without it. Never throws.
+   * @param {object} msg - Telegram message the file came with
+   * @param {object} media - Media from mediaService.getMedia
+   * @param {Buffer} buffer - File contents
+   * @param {string|null} threadId - Thread of the session
+   * @returns {Promise<object|null>} - Document row or null if not stored
+   */
+  async storeDocument(msg, media, buffer, threadId = null) {
+    if (!this.isKept(media) || !dbService.isInitialized()) {
+      return null;
+    }
+
+    const chatId = msg.chat.id;
+    const storage = this.settings.storage;
+    const key = `${chatId}/${msg.message_id}_${sanitizeFileName(media.fileName)}`;
+
+    try {
+      await this.getStore(storage).put(key, buffer, { contentType: media.mimeType });
+
+      const document = await dbService.logDocument({
+        chat_id: chatId,
+        thread_id: threadId,
+        message_id: msg.message_id,
+        kind: media.kind,
+        file_name: media.fileName,
+        mime_type: media.mimeType,
+        size: buffer.length,
+        storage,
+        storage_key: key
+      });
+
+      logger.info('Document stored', { chatId, key, storage, size: buffer.length });
+      return document;
+    } catch (error) {
+      logger.error('Failed to store document', error, { chatId, key, storage });
+      return null;
+    }
+  }
+
+  /**
+   * Download and store the file of a message that does not go to the assistant,
+   * e.g. while the chat is handled by an operator. Never throws.
+   * @param {TelegramBot} bot - The Telegram bot instance
+   * @param {object} msg - Telegram message
+   * @param {string|null} threadId - Thread of the session
+   * @returns {Promise<object|null>} - Document row or null if not stored
+   */
+  async collect(bot, msg, threadId = null) {
+    const media = mediaService.getMedia(msg);
+    if (!media || !this.isKept(media) || mediaService.validate(media) || !dbService.isInitialized()) {
+      return null;
+    }
+
+    try {
+      const buffer = await mediaService.download(bot, media);
+      return await this.storeDocument(msg, media, buffer, threadId);
+    } catch (error) {
+      logger.error('Failed to download document', error, { chatId: msg.chat.id, fileId: media.fileId });
+      return null;
+    }
+  }
+
+  /**
+   * Get documents a chat sent, oldest first
+   * @param {number} chatId - The Telegram chat ID
+   * @param {number} limit - Maximum number of documents
+   * @returns {Promise<Array>} - Document rows
+   */
+  async getDocuments(chatId, limit = 20) {
+    return dbService.getDocuments(chatId, limit);
+  }
+
+  /**
+   * Read contents of a stored document
+   * @param {object} document - Document row
+   * @returns {Promise<Buffer|null>} - Contents or null if the blob is gone
+   */
+  async readDocument(document) {
+    return this.getStore(document.storage).get(document.storage_key);
+  }
+}
+
+export const documentService = new DocumentService();
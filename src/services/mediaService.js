@@ -0,0 +1,222 @@
+/**
+ * Media service module
+ * Turns photos, documents and voice notes into OpenAI thread message content
+ */
+
+import { config } from '../config/config.js';
+import { openaiService } from './openaiService.js';
+import { logger } from '../utils/logger.js';
+
+// File extensions OpenAI needs to detect the type of an upload
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a'
+};
+
+/**
+ * Format bytes as megabytes for user messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "20 MB"
+ */
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+
+export class MediaService {
+  /**
+   * @param {object} options - Service options
+   * @param {object} options.limits - Size limits and MIME allowlists, see config.media
+   * @param {OpenAIService} options.openai - OpenAI service used for uploads and transcription
+   */
+  constructor({ limits = config.media, openai = openaiService } = {}) {
+    this.limits = limits;
+    this.openai = openai;
+  }
+
+  /**
+   * Describe the photo, document or voice note of a message
+   * @param {object} msg - Telegram message
+   * @returns {object|null} - { kind, fileId, fileName, mimeType, fileSize, duration } or null without media
+   */
+  getMedia(msg) {
+    if (msg.photo?.length) {
+      // Sizes are ordered from smallest to largest, take the largest one we may download
+      const fitting = msg.photo.filter(size => !size.file_size || size.file_size <= this.limits.maxFileSize);
+      const photo = fitting[fitting.length - 1] || msg.photo[msg.photo.length - 1];
+      return {
+        kind: 'image',
+        fileId: photo.file_id,
+        fileName: `photo_${photo.file_unique_id}.jpg`,
+        mimeType: 'image/jpeg',
+        fileSize: photo.file_size
+      };
+    }
+
+    if (msg.document) {
+      const { document } = msg;
+      const mimeType = document.mime_type || 'application/octet-stream';
+      // Scans are often sent as files to avoid compression
+      const kind = this.limits.imageTypes.includes(mimeType) ? 'image' : 'document';
+      return {
+        kind,
+        fileId: document.file_id,
+        fileName: document.file_name || `document_${document.file_unique_id}.${EXTENSIONS[mimeType] || 'bin'}`,
+        mimeType,
+        fileSize: document.file_size
+      };
+    }
+
+    if (msg.voice) {
+      const { voice } = msg;
+      const mimeType = voice.mime_type || 'audio/ogg';
+      return {
+        kind: 'voice',
+        fileId: voice.file_id,
+        fileName: `voice_${voice.file_unique_id}.${EXTENSIONS[mimeType] || 'ogg'}`,
+        mimeType,
+        fileSize: voice.file_size,
+        duration: voice.duration
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check media against the size limits and MIME allowlists
+   * @param {object} media - Media from getMedia
+   * @returns {string|null} - Message for the user if the media is rejected
+   */
+  validate(media) {
+    const allowed = {
+      image: this.limits.imageTypes,
+      document: this.limits.documentTypes,
+      voice: this.limits.voiceTypes
+    }[media.kind];
+
+    if (!allowed.includes(media.mimeType)) {
+      return media.kind === 'voice'
+        ? "Sorry, I can't process this voice message format."
+        : "Sorry, this file type is not supported. Please send a photo, PDF or text document.";
+    }
+
+    if (media.fileSize > this.limits.maxFileSize) {
+      return `This file is too large. Please send files up to ${formatMegabytes(this.limits.maxFileSize)}.`;
+    }
+
+    if (media.kind === 'voice' && media.duration > this.limits.maxVoiceDuration) {
+      return `This voice message is too long. Please keep voice messages under ${this.limits.maxVoiceDuration} seconds.`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a message can be answered by the assistant
+   * @param {object} msg - Telegram message
+   * @returns {boolean} - Whether the message has text or accepted media
+   */
+  isSupported(msg) {
+    if (msg.text) {
+      return true;
+    }
+    const media = this.getMedia(msg);
+    return !!media && !this.validate(media);
+  }
+
+  /**
+   * Download a file through the Bot API
+   * The size is checked again while streaming, file_size in messages is optional
+   * @param {TelegramBot} bot - The Telegram bot instance
+   * @param {object} media - Media from getMedia
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async download(bot, media) {
+    const stream = bot.getFileStream(media.fileId);
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > this.limits.maxFileSize) {
+        stream.destroy();
+        throw new Error(`File ${media.fileId} exceeds ${this.limits.maxFileSize} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    logger.info('Downloaded file from Telegram', { fileId: media.fileId, kind: media.kind, size });
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Build thread message content of a user turn
+   * Images become image_file parts, documents are attached for file search and voice notes
+   * are transcribed into the text
+   * @param {TelegramBot} bot - The Telegram bot instance
+   * @param {Array<object>} messages - Telegram messages of the turn, already validated
+   * @param {object} options - Build options
+   * @param {Function} options.onFile - async (msg, media, buffer) => void, called for every downloaded file
+   * @returns {Promise<{content: string|Array<object>, attachments: Array<object>, text: string}>} - Message
+   *   content, plus the turn as plain text with media labels for logs
+   */
+  async buildThreadMessage(bot, messages, { onFile } = {}) {
+    const images = [];
+    const attachments = [];
+    const lines = [];
+    const logLines = [];
+
+    for (const msg of messages) {
+      const media = this.getMedia(msg);
+
+      if (media) {
+        const buffer = await this.download(bot, media);
+        await onFile?.(msg, media, buffer);
+
+        if (media.kind === 'image') {
+          const fileId = await this.openai.uploadFile(buffer, media.fileName, 'vision');
+          images.push({ type: 'image_file', image_file: { file_id: fileId } });
+          logLines.push(`[Image: ${media.fileName}]`);
+        } else if (media.kind === 'document') {
+          const fileId = await this.openai.uploadFile(buffer, media.fileName, 'assistants');
+          attachments.push({ file_id: fileId, tools: [{ type: 'file_search' }] });
+          const line = `[Document: ${media.fileName}]`;
+          lines.push(line);
+          logLines.push(line);
+        } else {
+          const transcript = await this.openai.transcribeAudio(buffer, media.fileName);
+          const line = `[Voice message] ${transcript}`;
+          lines.push(line);
+          logLines.push(line);
+        }
+      }
+
+      const text = msg.text ?? msg.caption;
+      if (text) {
+        lines.push(text);
+        logLines.push(text);
+      }
+    }
+
+    const text = lines.join('\n');
+    const log = logLines.join('\n');
+    if (images.length === 0) {
+      return { content: text, attachments, text: log };
+    }
+
+    return {
+      content: text ? [...images, { type: 'text', text }] : images,
+      attachments,
+      text: log
+    };
+  }
+}
+
+export const mediaService = new MediaService();
@@ -3,15 +3,27 @@
  * Handles all interactions with OpenAI API
  */
 
-import OpenAI from 'openai';
+import OpenAI, { toFile } from 'openai';
+import { isDeepStrictEqual } from 'util';
 import { config } from '../config/config.js';
 import { logger } from '../utils/logger.js';
+import { toolRegistry } from '../tools/index.js';
 
-class OpenAIService {
-  constructor() {
-    this.client = new OpenAI({ apiKey: config.openai.apiKey });
+export class OpenAIService {
+  /**
+   * @param {object} options - Service options
+   * @param {OpenAI} options.client - OpenAI client, e.g. a mock in tests
+   * @param {string} options.assistantId - Assistant ID
+   * @param {ToolRegistry} options.tools - Tools the assistant can call
+   */
+  constructor({ client, assistantId = config.openai.assistantId, tools = toolRegistry } = {}) {
+    this.client = client || new OpenAI({ 
+      apiKey: config.openai.apiKey,
+      baseURL: config.openai.baseURL
+    });
     // Use assistant ID from config
-    this.assistantId = config.openai.assistantId;
+    this.assistantId = assistantId;
+    this.toolRegistry = tools;
     
     if (!this.assistantId) {
       throw new Error('OPENAI_ASSISTANT_ID is required');
@@ -45,6 +57,7 @@ class OpenAIService {
       // Try to retrieve the existing Capy Concierge assistant
       const assistant = await this.client.beta.assistants.retrieve(this.assistantId);
       logger.info("Connected to Capy Concierge assistant:", assistant.id);
+      await this.ensureAssistantTools(assistant);
       return assistant.id;
     } catch (error) {
       logger.error("Error retrieving Capy Concierge assistant:", error.message);
@@ -52,6 +65,48 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Syncs registered function tools to the assistant, keeping its other tools
+   * @param {object} assistant - Assistant retrieved from OpenAI
+   */
+  async ensureAssistantTools(assistant) {
+    const definitions = this.toolRegistry.getDefinitions();
+    const current = assistant.tools.filter(
+      tool => tool.type === 'function' && this.toolRegistry.has(tool.function.name)
+    );
+    const isUpToDate = definitions.every(definition => current.some(
+      tool => this.isSameFunction(tool.function, definition.function)
+    ));
+
+    if (isUpToDate) {
+      return;
+    }
+
+    const otherTools = assistant.tools.filter(
+      tool => tool.type !== 'function' || !this.toolRegistry.has(tool.function.name)
+    );
+    await this.client.beta.assistants.update(assistant.id, {
+      tools: [...otherTools, ...definitions]
+    });
+    logger.info("Synced tools to assistant", { 
+      assistantId: assistant.id,
+      tools: definitions.map(tool => tool.function.name)
+    });
+  }
+
+  /**
+   * Compare function definitions by content
+   * Key order and fields the API adds, such as strict, are ignored
+   * @param {object} a - Function definition
+   * @param {object} b - Function definition
+   * @returns {boolean} - Whether name, description and parameters match
+   */
+  isSameFunction(a, b) {
+    return a.name === b.name &&
+      (a.description || '') === (b.description || '') &&
+      isDeepStrictEqual(a.parameters || {}, b.parameters || {});
+  }
+
   /**
    * Creates a new thread
    * @returns {Promise<string>} - The thread ID
@@ -70,15 +125,18 @@ class OpenAIService {
   /**
    * Adds a message to a thread
    * @param {string} threadId - Thread ID
-   * @param {string} content - Message content
+   * @param {string|Array<object>} content - Message text or content parts, e.g. with image files
+   * @param {object} options - Message options
+   * @param {Array<object>} options.attachments - Files attached for file search
    */
-  async addMessageToThread(threadId, content) {
+  async addMessageToThread(threadId, content, { attachments = [] } = {}) {
     try {
       const message = await this.client.beta.threads.messages.create(
         threadId,
         {
           role: "user",
-          content
+          content,
+          ...(attachments.length > 0 && { attachments })
         }
       );
       logger.info("Added message to thread", { threadId, messageId: message.id });
@@ -89,21 +147,96 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Uploads a file for use in threads
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileName - File name, OpenAI uses its extension to detect the type
+   * @param {string} purpose - 'vision' for images, 'assistants' for file search
+   * @returns {Promise<string>} - The file ID
+   */
+  async uploadFile(buffer, fileName, purpose) {
+    try {
+      const file = await this.client.files.create({
+        file: await toFile(buffer, fileName),
+        purpose
+      });
+      logger.info("Uploaded file", { fileId: file.id, fileName, purpose, size: buffer.length });
+      return file.id;
+    } catch (error) {
+      logger.error("Error uploading file:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Transcribes an audio file
+   * @param {Buffer} buffer - Audio contents
+   * @param {string} fileName - File name with an extension the transcription API accepts
+   * @returns {Promise<string>} - Transcript
+   */
+  async transcribeAudio(buffer, fileName) {
+    try {
+      const transcription = await this.client.audio.transcriptions.create({
+        file: await toFile(buffer, fileName),
+        model: config.openai.transcriptionModel
+      });
+      logger.info("Transcribed audio", { fileName, length: transcription.text.length });
+      return transcription.text;
+    } catch (error) {
+      logger.error("Error transcribing audio:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build run parameters
+   * @param {string|null} instructions - Additional instructions appended to the assistant's own
+   * @returns {object} - Run create parameters
+   */
+  getRunParams(instructions) {
+    return instructions
+      ? { assistant_id: this.assistantId, additional_instructions: instructions }
+      : { assistant_id: this.assistantId };
+  }
+
   /**
    * Runs the assistant on a thread and returns the response
+   * Tool calls requested by the run are served from the tool registry
    * @param {string} threadId - Thread ID
+   * @param {object} options - Run options
+   * @param {object} options.context - Context passed to tool handlers, the run ID is stored in context.runId
+   * @param {string} options.instructions - Additional instructions for this run
    * @returns {Promise<string>} - Assistant's response
    */
-  async runAssistantAndGetResponse(threadId) {
+  async runAssistantAndGetResponse(threadId, { context = {}, instructions = null } = {}) {
     try {
       // Create and poll for the run to complete
-      const run = await this.client.beta.threads.runs.createAndPoll(
+      let run = await this.client.beta.threads.runs.createAndPoll(
         threadId, 
-        { assistant_id: this.assistantId }
+        this.getRunParams(instructions)
       );
+      context.runId = run.id;
+      
+      while (run.status === "requires_action") {
+        const toolOutputs = await this.handleToolCalls(threadId, run, context);
+        run = await this.client.beta.threads.runs.submitToolOutputsAndPoll(
+          threadId,
+          run.id,
+          { tool_outputs: toolOutputs }
+        );
+      }
       
       logger.info("Run completed:", { threadId, status: run.status });
       
+      if (run.status !== "completed") {
+        logger.warn("Run did not complete", { 
+          threadId, 
+          status: run.status,
+          error: run.last_error?.message
+        });
+        return null;
+      }
+      
       // Get the latest messages from the thread
       const messages = await this.client.beta.threads.messages.list(
         threadId,
@@ -139,6 +272,87 @@ class OpenAIService {
       throw error;
     }
   }
+
+  /**
+   * Runs the assistant with streaming and reports text as it arrives
+   * Tool calls are served from the tool registry and the run keeps streaming
+   * @param {string} threadId - Thread ID
+   * @param {object} options - Run options
+   * @param {object} options.context - Context passed to tool handlers, the run ID is stored in context.runId
+   * @param {string} options.instructions - Additional instructions for this run
+   * @param {Function} options.onText - Called with the full text so far
+   * @returns {Promise<string>} - Assistant's response
+   */
+  async streamAssistantResponse(threadId, { context = {}, instructions = null, onText = () => {} } = {}) {
+    try {
+      let text = "";
+      let stream = this.client.beta.threads.runs.stream(
+        threadId,
+        this.getRunParams(instructions)
+      );
+      
+      while (stream) {
+        stream.on("textDelta", (delta) => {
+          text += delta.value || "";
+          onText(text);
+        });
+        
+        const run = await stream.finalRun();
+        context.runId = run.id;
+        stream = null;
+        
+        if (run.status === "requires_action") {
+          const toolOutputs = await this.handleToolCalls(threadId, run, context);
+          stream = this.client.beta.threads.runs.submitToolOutputsStream(
+            threadId,
+            run.id,
+            { tool_outputs: toolOutputs }
+          );
+        } else if (run.status !== "completed") {
+          logger.warn("Streamed run did not complete", { 
+            threadId, 
+            status: run.status,
+            error: run.last_error?.message
+          });
+          return null;
+        }
+      }
+      
+      logger.info("Got streamed assistant response", { threadId, length: text.length });
+      return text || null;
+    } catch (error) {
+      logger.error("Error streaming assistant response:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs requested tool calls and collects their outputs
+   * @param {string} threadId - Thread ID
+   * @param {object} run - Run in requires_action status
+   * @param {object} context - Context passed to tool handlers
+   * @returns {Promise<Array>} - Tool outputs for submitToolOutputs
+   */
+  async handleToolCalls(threadId, run, context) {
+    const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls || [];
+    const toolOutputs = [];
+
+    for (const toolCall of toolCalls) {
+      const output = await this.toolRegistry.execute({
+        name: toolCall.function.name,
+        rawArgs: toolCall.function.arguments,
+        threadId,
+        runId: run.id
+      }, context);
+
+      toolOutputs.push({
+        tool_call_id: toolCall.id,
+        output: JSON.stringify(output ?? null)
+      });
+    }
+
+    return toolOutputs;
+  }
 }
 
 export const openaiService = new OpenAIService();
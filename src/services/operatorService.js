@@ -0,0 +1,68 @@
+/**
+ * Operator service module
+ * Resolves operator roles from config and the operators table
+ */
+
+import { config } from '../config/config.js';
+import { dbService } from './dbService.js';
+import { SessionCache } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+
+// Roles in ascending order of privilege
+export const OPERATOR_ROLES = ['operator', 'supervisor', 'admin'];
+
+class OperatorService {
+  constructor() {
+    // Database lookups are cached to keep command handling fast
+    this.cache = new SessionCache(5 * 60 * 1000);
+  }
+
+  /**
+   * Get role of a Telegram user
+   * @param {number} userId - The Telegram user ID
+   * @returns {Promise<string|null>} - Role or null if not an operator
+   */
+  async getRole(userId) {
+    if (!userId) return null;
+
+    const configuredRole = config.telegram.operators[userId];
+    if (configuredRole) {
+      return OPERATOR_ROLES.includes(configuredRole) ? configuredRole : null;
+    }
+
+    const cached = this.cache.get(userId);
+    if (cached) {
+      return cached.role;
+    }
+
+    let operator;
+    try {
+      operator = await dbService.getOperator(userId);
+    } catch (error) {
+      // Not cached, so a brief database outage does not lock operators out
+      logger.warn('Operator lookup failed, denying for now:', { userId, error: error.message });
+      return null;
+    }
+
+    const role = OPERATOR_ROLES.includes(operator?.role) ? operator.role : null;
+    this.cache.set(userId, { role });
+
+    return role;
+  }
+
+  /**
+   * Check if user has at least the required role
+   * @param {number} userId - The Telegram user ID
+   * @param {string} requiredRole - Minimum role
+   * @returns {Promise<boolean>} - Whether user is authorized
+   */
+  async hasRole(userId, requiredRole = 'operator') {
+    const role = await this.getRole(userId);
+    const authorized = !!role && OPERATOR_ROLES.indexOf(role) >= OPERATOR_ROLES.indexOf(requiredRole);
+
+    logger.info('Operator role checked:', { userId, role, requiredRole, authorized });
+    return authorized;
+  }
+}
+
+export const operatorService = new OperatorService();
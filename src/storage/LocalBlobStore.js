@@ -0,0 +1,55 @@
+/**
+ * Local filesystem blob store
+ * Note: Files are lost on hosts with ephemeral disks, use Supabase Storage there
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+export class LocalBlobStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.root - Directory the blobs are written to
+   */
+  constructor({ root }) {
+    if (!root) {
+      throw new Error('Root directory is required for LocalBlobStore');
+    }
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to a path inside the root directory
+   * @param {string} key - Blob key, e.g. "123/file.pdf"
+   * @returns {string} - Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+    logger.debug('Local blob store put:', { key, size: buffer.length });
+  }
+
+  async get(key) {
+    try {
+      return await readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async del(key) {
+    await rm(this.resolve(key), { force: true });
+    logger.debug('Local blob store delete:', { key });
+  }
+}
@@ -3,62 +3,238 @@
  * Note: This is not recommended for production use
  */
 
+import { globToRegExp } from './glob.js';
 import { logger } from '../utils/logger.js';
 
 export class MemoryStorage {
   constructor() {
     this.store = new Map();
     this.timeouts = new Map();
+    this.expiresAt = new Map();
+    this.sortedSets = new Map();
   }
 
-  async setEx(key, value, ttl) {
-    // Clear any existing timeout
-    if (this.timeouts.has(key)) {
-      clearTimeout(this.timeouts.get(key));
-    }
+  /**
+   * Delete the key after ttl seconds, replacing an earlier expiration
+   */
+  scheduleExpiry(key, ttl) {
+    this.clearExpiry(key);
 
-    // Store the value
-    this.store.set(key, value);
-
-    // Set expiration
     const timeout = setTimeout(() => {
       this.store.delete(key);
       this.timeouts.delete(key);
+      this.expiresAt.delete(key);
     }, ttl * 1000);
 
     this.timeouts.set(key, timeout);
+    this.expiresAt.set(key, Date.now() + ttl * 1000);
+  }
+
+  clearExpiry(key) {
+    if (this.timeouts.has(key)) {
+      clearTimeout(this.timeouts.get(key));
+      this.timeouts.delete(key);
+      this.expiresAt.delete(key);
+    }
+  }
+
+  /**
+   * Nothing to reach, always healthy
+   */
+  async ping() {
+    return true;
+  }
+
+  status() {
+    return {
+      driver: 'memory',
+      connected: true,
+      keys: this.store.size + this.sortedSets.size
+    };
+  }
+
+  /**
+   * Clear pending expirations so they do not keep the process alive
+   */
+  async close() {
+    for (const timeout of this.timeouts.values()) {
+      clearTimeout(timeout);
+    }
+    this.timeouts.clear();
+    this.expiresAt.clear();
+  }
+
+  async set(key, value, ttl = null) {
+    if (ttl) {
+      return this.setEx(key, value, ttl);
+    }
+
+    this.clearExpiry(key);
+    this.store.set(key, String(value));
+    logger.debug('Memory storage set:', { key });
+  }
+
+  async setEx(key, value, ttl) {
+    this.store.set(key, String(value));
+    this.scheduleExpiry(key, ttl);
     logger.debug('Memory storage set:', { key, ttl });
   }
 
+  /**
+   * Set value with expiration only if key does not exist
+   * Returns true if the value was set
+   */
+  async setNx(key, value, ttl) {
+    if (this.store.has(key)) {
+      logger.debug('Memory storage setNx skipped:', { key });
+      return false;
+    }
+
+    await this.setEx(key, value, ttl);
+    return true;
+  }
+
   async get(key) {
-    const value = this.store.get(key);
-    logger.debug('Memory storage get:', { key, exists: !!value });
+    const value = this.store.get(key) ?? null;
+    logger.debug('Memory storage get:', { key, exists: value !== null });
     return value;
   }
 
+  /**
+   * Get several values, null for missing keys
+   */
+  async mget(keys) {
+    return keys.map(key => this.store.get(key) ?? null);
+  }
+
   async exists(key) {
-    const exists = this.store.has(key);
+    const exists = this.store.has(key) || this.sortedSets.has(key);
     logger.debug('Memory storage exists:', { key, exists });
     return exists;
   }
 
   async del(key) {
-    // Clear timeout if exists
-    if (this.timeouts.has(key)) {
-      clearTimeout(this.timeouts.get(key));
-      this.timeouts.delete(key);
-    }
+    this.clearExpiry(key);
 
-    const deleted = this.store.delete(key);
+    const deletedSet = this.sortedSets.delete(key);
+    const deleted = this.store.delete(key) || deletedSet;
     logger.debug('Memory storage delete:', { key, deleted });
     return deleted;
   }
 
+  /**
+   * Increment an integer value, missing keys start at 0
+   * The expiration of the key is kept, like in Redis
+   */
+  async incr(key) {
+    const current = this.store.get(key) ?? '0';
+    if (!/^-?\d+$/.test(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+
+    const value = Number(current) + 1;
+    this.store.set(key, String(value));
+    logger.debug('Memory storage incr:', { key, value });
+    return value;
+  }
+
+  /**
+   * Set expiration of an existing key
+   * Returns false if the key does not exist
+   */
+  async expire(key, ttl) {
+    if (!this.store.has(key)) {
+      return false;
+    }
+
+    if (ttl <= 0) {
+      await this.del(key);
+    } else {
+      this.scheduleExpiry(key, ttl);
+    }
+    logger.debug('Memory storage expire:', { key, ttl });
+    return true;
+  }
+
+  /**
+   * Get remaining time to live in seconds
+   * Like Redis, returns -1 for keys without expiration and -2 for missing keys
+   */
+  async ttl(key) {
+    if (!this.store.has(key)) return -2;
+    if (!this.expiresAt.has(key)) return -1;
+    return Math.max(0, Math.ceil((this.expiresAt.get(key) - Date.now()) / 1000));
+  }
+
+  /**
+   * Get keys matching a glob pattern, see glob.js
+   */
   async keys(pattern) {
-    // Simple pattern matching (only supports *)
-    const regex = new RegExp('^' + pattern.replace('*', '.*') + '$');
-    const keys = Array.from(this.store.keys()).filter(key => regex.test(key));
+    const regex = globToRegExp(pattern);
+    const keys = [...this.store.keys(), ...this.sortedSets.keys()].filter(key => regex.test(key));
     logger.debug('Memory storage keys:', { pattern, count: keys.length });
     return keys;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Add member to a sorted set or update its score
+   */
+  async zadd(key, score, member) {
+    if (!this.sortedSets.has(key)) {
+      this.sortedSets.set(key, new Map());
+    }
+    this.sortedSets.get(key).set(String(member), Number(score));
+    logger.debug('Memory storage zadd:', { key, member, score });
+  }
+
+  /**
+   * Remove member from a sorted set
+   */
+  async zrem(key, member) {
+    const set = this.sortedSets.get(key);
+    const removed = !!set?.delete(String(member));
+    if (set?.size === 0) {
+      this.sortedSets.delete(key);
+    }
+    logger.debug('Memory storage zrem:', { key, member, removed });
+    return removed;
+  }
+
+  /**
+   * Count members of a sorted set
+   */
+  async zcard(key) {
+    return this.sortedSets.get(key)?.size || 0;
+  }
+
+  /**
+   * Get members ordered by score, stop is inclusive and may be negative like in Redis
+   */
+  async zrange(key, start, stop) {
+    const members = this.sortedMembers(key);
+    const end = stop < 0 ? members.length + stop + 1 : stop + 1;
+    return members.slice(start, end).map(([member]) => member);
+  }
+
+  /**
+   * Atomically move the lowest scored member with score <= maxScore to newScore
+   * Returns the member or null if none is due
+   */
+  async zclaim(key, maxScore, newScore) {
+    const [first] = this.sortedMembers(key);
+    if (!first || first[1] > maxScore) {
+      return null;
+    }
+
+    this.sortedSets.get(key).set(first[0], Number(newScore));
+    logger.debug('Memory storage zclaim:', { key, member: first[0], newScore });
+    return first[0];
+  }
+
+  sortedMembers(key) {
+    const set = this.sortedSets.get(key);
+    if (!set) return [];
+    // Members with equal scores are ordered lexicographically, like in Redis
+    return Array.from(set.entries()).sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+}
@@ -28,6 +28,15 @@ class ExponentialBackoff {
   }
 }
 
+// Claims the first due member of a sorted set in one round trip so two workers never get the same one
+const ZCLAIM_SCRIPT = `
+local member = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)[1]
+if member then
+  redis.call('ZADD', KEYS[1], ARGV[2], member)
+end
+return member
+`;
+
 export class RedisStorage {
   constructor(config) {
     if (!config?.url) {
@@ -161,21 +170,37 @@ export class RedisStorage {
     }
   }
 
-  async executeWithRetry(operation) {
+  /**
+   * Run an operation on a pooled connection, retrying failures with backoff
+   * Error replies other than READONLY are not retried, Redis would answer the same again.
+   * Operations that are not idempotent are retried only if no command was sent, as a sent
+   * command may have been applied although its reply was lost.
+   * @param {Function} operation - async (connection) => result
+   * @param {object} options - Options
+   * @param {boolean} options.idempotent - Whether running the operation twice is harmless
+   */
+  async executeWithRetry(operation, { idempotent = true } = {}) {
     let lastError = null;
     
     for (let attempt = 0; attempt < this.config.maxRetries; attempt++) {
+      let sent = false;
       try {
         const connection = await this.getConnection();
+        sent = true;
         return await operation(connection);
       } catch (error) {
         lastError = error;
         logger.warn(`Redis operation failed (attempt ${attempt + 1}):`, error);
         
+        // A replica rejected the write, so it was not applied
         if (error.message.includes('READONLY')) {
           await this.handleReadOnlyError();
           continue;
         }
+
+        if (error instanceof Redis.ReplyError || (sent && !idempotent)) {
+          break;
+        }
         
         const delay = this.backoff.getDelay(attempt);
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -231,13 +256,42 @@ export class RedisStorage {
     });
   }
 
+  /**
+   * Get several values in one round trip, null for missing keys
+   */
+  async mget(keys) {
+    if (keys.length === 0) return [];
+    return this.executeWithRetry((connection) => connection.mget(keys));
+  }
+
   /**
    * Delete a value with automatic reconnection and retry
+   * Returns true if the key existed
    */
   async del(key) {
     return this.executeWithRetry(async (connection) => {
-      await connection.del(key);
-      logger.debug('Redis del:', { key });
+      const deleted = await connection.del(key);
+      logger.debug('Redis del:', { key, deleted: !!deleted });
+      return !!deleted;
+    });
+  }
+
+  /**
+   * Atomically increment an integer value, missing keys start at 0
+   */
+  async incr(key) {
+    return this.executeWithRetry((connection) => connection.incr(key), { idempotent: false });
+  }
+
+  /**
+   * Set expiration of an existing key
+   * Returns false if the key does not exist
+   */
+  async expire(key, ttl) {
+    return this.executeWithRetry(async (connection) => {
+      const updated = await connection.expire(key, ttl);
+      logger.debug('Redis expire:', { key, ttl, updated: !!updated });
+      return !!updated;
     });
   }
 
@@ -262,6 +316,25 @@ export class RedisStorage {
     });
   }
 
+  /**
+   * Set value with expiration only if key does not exist
+   * Returns true if the value was set
+   */
+  async setNx(key, value, ttl) {
+    return this.executeWithRetry(async (connection) => {
+      const result = await connection.set(key, value, 'EX', ttl, 'NX');
+      logger.debug('Redis setNx:', { key, ttl, set: result === 'OK' });
+      return result === 'OK';
+    });
+  }
+
+  /**
+   * Get remaining time to live in seconds, -1 without expiration, -2 if missing
+   */
+  async ttl(key) {
+    return this.executeWithRetry((connection) => connection.ttl(key));
+  }
+
   /**
    * Get keys matching pattern with automatic reconnection
    */
@@ -273,11 +346,59 @@ export class RedisStorage {
     });
   }
 
+  /**
+   * Add member to a sorted set or update its score
+   */
+  async zadd(key, score, member) {
+    return this.executeWithRetry(async (connection) => {
+      await connection.zadd(key, score, member);
+      logger.debug('Redis zadd:', { key, member, score });
+    });
+  }
+
+  /**
+   * Remove member from a sorted set
+   */
+  async zrem(key, member) {
+    return this.executeWithRetry(async (connection) => {
+      const removed = await connection.zrem(key, member);
+      logger.debug('Redis zrem:', { key, member, removed: !!removed });
+      return !!removed;
+    });
+  }
+
+  /**
+   * Count members of a sorted set
+   */
+  async zcard(key) {
+    return this.executeWithRetry((connection) => connection.zcard(key));
+  }
+
+  /**
+   * Get members ordered by score
+   */
+  async zrange(key, start, stop) {
+    return this.executeWithRetry((connection) => connection.zrange(key, start, stop));
+  }
+
+  /**
+   * Atomically move the lowest scored member with score <= maxScore to newScore
+   * Returns the member or null if none is due
+   */
+  async zclaim(key, maxScore, newScore) {
+    return this.executeWithRetry(async (connection) => {
+      const member = await connection.eval(ZCLAIM_SCRIPT, 1, key, maxScore, newScore);
+      logger.debug('Redis zclaim:', { key, member, newScore });
+      return member || null;
+    }, { idempotent: false });
+  }
+
   /**
    * Get connection status and pool information
    */
-  getStatus() {
+  status() {
     return {
+      driver: 'redis',
       connected: this.isConnected,
       error: this.connectionError?.message,
       reconnectAttempts: this.reconnectAttempts,
@@ -293,7 +414,7 @@ export class RedisStorage {
   /**
    * Gracefully close all Redis connections
    */
-  async quit() {
+  async close() {
     logger.info('Closing all Redis connections...');
     
     const closePromises = Array.from(this.pool.values()).map(async (connection) => {
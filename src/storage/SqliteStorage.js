@@ -0,0 +1,289 @@
+/**
+ * SQLite storage adapter
+ * Keeps keys in a local file, so single-node deployments survive restarts without Redis.
+ * Expired keys are hidden from reads at once and deleted by a periodic sweep.
+ */
+
+import { openDatabase } from '../db/sqlite/openDatabase.js';
+import { migrateSqlite } from '../db/sqlite/migrate.js';
+import { globPrefix, globToRegExp } from './glob.js';
+import { logger } from '../utils/logger.js';
+
+// Condition matching keys that have not expired, takes the current time in milliseconds
+const LIVE = '(expires_at IS NULL OR expires_at > ?)';
+
+export class SqliteStorage {
+  /**
+   * @param {object} options - Storage options, see config.sqlite
+   * @param {string} options.path - Database file, may be shared with SqliteRepository
+   * @param {number} options.sweepInterval - Seconds between sweeps of expired keys
+   */
+  constructor({ path: filename, sweepInterval = 60 } = {}) {
+    if (!filename) {
+      throw new Error('SQLite path is required');
+    }
+
+    this.db = openDatabase(filename);
+    migrateSqlite(this.db, 'storage');
+    this.isConnected = true;
+
+    this.statements = {
+      get: this.db.prepare(`SELECT value FROM kv_store WHERE key = ? AND ${LIVE}`),
+      set: this.db.prepare(`
+        INSERT INTO kv_store (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+      `),
+      exists: this.db.prepare(`
+        SELECT 1 FROM kv_store WHERE key = ? AND ${LIVE}
+        UNION ALL
+        SELECT 1 FROM kv_sorted_sets WHERE key = ?
+        LIMIT 1
+      `),
+      del: this.db.prepare('DELETE FROM kv_store WHERE key = ?'),
+      delSortedSet: this.db.prepare('DELETE FROM kv_sorted_sets WHERE key = ?'),
+      expiresAt: this.db.prepare(`SELECT expires_at FROM kv_store WHERE key = ? AND ${LIVE}`),
+      expire: this.db.prepare(`UPDATE kv_store SET expires_at = ? WHERE key = ? AND ${LIVE}`),
+      updateValue: this.db.prepare('UPDATE kv_store SET value = ? WHERE key = ?'),
+      // Narrowed down by the literal prefix of the pattern, the rest is matched in JS
+      keys: this.db.prepare(`
+        SELECT key FROM kv_store WHERE substr(key, 1, ?) = ? AND ${LIVE}
+        UNION
+        SELECT DISTINCT key FROM kv_sorted_sets WHERE substr(key, 1, ?) = ?
+      `),
+      insertNx: this.db.prepare(
+        'INSERT INTO kv_store (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT (key) DO NOTHING'
+      ),
+      sweep: this.db.prepare('DELETE FROM kv_store WHERE expires_at <= ?'),
+      sweepKey: this.db.prepare('DELETE FROM kv_store WHERE key = ? AND expires_at <= ?'),
+      zadd: this.db.prepare(`
+        INSERT INTO kv_sorted_sets (key, member, score) VALUES (?, ?, ?)
+        ON CONFLICT (key, member) DO UPDATE SET score = excluded.score
+      `),
+      zrem: this.db.prepare('DELETE FROM kv_sorted_sets WHERE key = ? AND member = ?'),
+      zcard: this.db.prepare('SELECT COUNT(*) AS count FROM kv_sorted_sets WHERE key = ?'),
+      zrange: this.db.prepare('SELECT member FROM kv_sorted_sets WHERE key = ? ORDER BY score, member'),
+      zfirst: this.db.prepare(`
+        SELECT member FROM kv_sorted_sets WHERE key = ? AND score <= ?
+        ORDER BY score, member LIMIT 1
+      `)
+    };
+
+    // Replaces an expired key, the insert is ignored while a live one exists
+    this.setNxTransaction = this.db.transaction((key, value, expiresAt, now) => {
+      this.statements.sweepKey.run(key, now);
+      return this.statements.insertNx.run(key, value, expiresAt).changes > 0;
+    });
+
+    this.incrTransaction = this.db.transaction((key, now) => {
+      const row = this.statements.get.get(key, now);
+      if (row && !/^-?\d+$/.test(row.value)) {
+        throw new Error('ERR value is not an integer or out of range');
+      }
+
+      const value = Number(row?.value ?? 0) + 1;
+      if (row) {
+        this.statements.updateValue.run(String(value), key);
+      } else {
+        this.statements.sweepKey.run(key, now);
+        this.statements.set.run(key, String(value), null);
+      }
+      return value;
+    });
+
+    this.zclaimTransaction = this.db.transaction((key, maxScore, newScore) => {
+      const row = this.statements.zfirst.get(key, maxScore);
+      if (!row) return null;
+      this.statements.zadd.run(key, row.member, newScore);
+      return row.member;
+    });
+
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval * 1000);
+    // The sweep alone should not keep the process alive
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Delete expired keys
+   * @returns {number} - Number of deleted keys
+   */
+  sweep() {
+    try {
+      const { changes } = this.statements.sweep.run(Date.now());
+      if (changes > 0) {
+        logger.debug('SQLite storage sweep:', { deleted: changes });
+      }
+      return changes;
+    } catch (error) {
+      logger.error('SQLite storage sweep failed', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Check the database file is readable
+   */
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+    return true;
+  }
+
+  /**
+   * Get connection status and database file
+   */
+  status() {
+    return {
+      driver: 'sqlite',
+      connected: this.isConnected,
+      file: this.db.name
+    };
+  }
+
+  /**
+   * Stop the sweep and close the database
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.db.close();
+    this.isConnected = false;
+    logger.info('SQLite storage closed');
+  }
+
+  async set(key, value, ttl = null) {
+    if (ttl) {
+      return this.setEx(key, value, ttl);
+    }
+
+    this.statements.set.run(key, String(value), null);
+    logger.debug('SQLite storage set:', { key });
+  }
+
+  async setEx(key, value, ttl) {
+    this.statements.set.run(key, String(value), Date.now() + ttl * 1000);
+    logger.debug('SQLite storage set:', { key, ttl });
+  }
+
+  /**
+   * Set value with expiration only if key does not exist
+   * Returns true if the value was set
+   */
+  async setNx(key, value, ttl) {
+    const now = Date.now();
+    const set = this.setNxTransaction.immediate(key, String(value), now + ttl * 1000, now);
+    logger.debug('SQLite storage setNx:', { key, ttl, set });
+    return set;
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key, Date.now());
+    logger.debug('SQLite storage get:', { key, exists: !!row });
+    return row ? row.value : null;
+  }
+
+  /**
+   * Get several values, null for missing keys
+   */
+  async mget(keys) {
+    const now = Date.now();
+    return keys.map(key => this.statements.get.get(key, now)?.value ?? null);
+  }
+
+  async exists(key) {
+    const exists = !!this.statements.exists.get(key, Date.now(), key);
+    logger.debug('SQLite storage exists:', { key, exists });
+    return exists;
+  }
+
+  async del(key) {
+    const deleted = this.statements.del.run(key).changes + this.statements.delSortedSet.run(key).changes > 0;
+    logger.debug('SQLite storage delete:', { key, deleted });
+    return deleted;
+  }
+
+  /**
+   * Atomically increment an integer value, missing keys start at 0
+   * The expiration of the key is kept, like in Redis
+   */
+  async incr(key) {
+    const value = this.incrTransaction.immediate(key, Date.now());
+    logger.debug('SQLite storage incr:', { key, value });
+    return value;
+  }
+
+  /**
+   * Set expiration of an existing key
+   * Returns false if the key does not exist
+   */
+  async expire(key, ttl) {
+    const now = Date.now();
+    const updated = this.statements.expire.run(now + ttl * 1000, key, now).changes > 0;
+    logger.debug('SQLite storage expire:', { key, ttl, updated });
+    return updated;
+  }
+
+  /**
+   * Get remaining time to live in seconds
+   * Like Redis, returns -1 for keys without expiration and -2 for missing keys
+   */
+  async ttl(key) {
+    const row = this.statements.expiresAt.get(key, Date.now());
+    if (!row) return -2;
+    if (row.expires_at === null) return -1;
+    return Math.max(0, Math.ceil((row.expires_at - Date.now()) / 1000));
+  }
+
+  /**
+   * Get keys matching a glob pattern, see glob.js
+   */
+  async keys(pattern) {
+    const prefix = globPrefix(pattern);
+    const regex = globToRegExp(pattern);
+    const keys = this.statements.keys.all(prefix.length, prefix, Date.now(), prefix.length, prefix)
+      .map(row => row.key)
+      .filter(key => regex.test(key));
+    logger.debug('SQLite storage keys:', { pattern, count: keys.length });
+    return keys;
+  }
+
+  /**
+   * Add member to a sorted set or update its score
+   */
+  async zadd(key, score, member) {
+    this.statements.zadd.run(key, String(member), Number(score));
+    logger.debug('SQLite storage zadd:', { key, member, score });
+  }
+
+  /**
+   * Remove member from a sorted set
+   */
+  async zrem(key, member) {
+    const removed = this.statements.zrem.run(key, String(member)).changes > 0;
+    logger.debug('SQLite storage zrem:', { key, member, removed });
+    return removed;
+  }
+
+  /**
+   * Count members of a sorted set
+   */
+  async zcard(key) {
+    return this.statements.zcard.get(key).count;
+  }
+
+  /**
+   * Get members ordered by score, stop is inclusive and may be negative like in Redis
+   */
+  async zrange(key, start, stop) {
+    const members = this.statements.zrange.all(key).map(row => row.member);
+    const end = stop < 0 ? members.length + stop + 1 : stop + 1;
+    return members.slice(start, end);
+  }
+
+  /**
+   * Atomically move the lowest scored member with score <= maxScore to newScore
+   * Returns the member or null if none is due
+   */
+  async zclaim(key, maxScore, newScore) {
+    const member = this.zclaimTransaction.immediate(key, Number(maxScore), Number(newScore));
+    logger.debug('SQLite storage zclaim:', { key, member, newScore });
+    return member;
+  }
+}
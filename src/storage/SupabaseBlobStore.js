@@ -0,0 +1,43 @@
+/**
+ * Supabase Storage blob store
+ * The bucket must exist and should be private, see docs/SUPABASE_SETUP.md
+ */
+
+import { logger } from '../utils/logger.js';
+
+export class SupabaseBlobStore {
+  /**
+   * @param {object} options - Store options
+   * @param {SupabaseClient} options.client - Supabase client
+   * @param {string} options.bucket - Storage bucket name
+   */
+  constructor({ client, bucket }) {
+    if (!client) {
+      throw new Error('Supabase client is required for SupabaseBlobStore');
+    }
+    this.bucket = client.storage.from(bucket);
+    this.bucketName = bucket;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const { error } = await this.bucket.upload(key, buffer, { contentType, upsert: true });
+    if (error) throw error;
+    logger.debug('Supabase blob store put:', { bucket: this.bucketName, key, size: buffer.length });
+  }
+
+  async get(key) {
+    const { data, error } = await this.bucket.download(key);
+    if (error) {
+      // Storage answers 400 or 404 for missing objects
+      if ([400, 404].includes(error.status)) return null;
+      throw error;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async del(key) {
+    const { error } = await this.bucket.remove([key]);
+    if (error) throw error;
+    logger.debug('Supabase blob store delete:', { bucket: this.bucketName, key });
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Redis-style glob patterns for storage keys()
+ * Supports * and ?, character classes like [abc], [^abc] and [a-z], and \ to escape a character
+ */
+
+const escapeRegExp = (char) => char.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+
+/**
+ * Find the ] closing a character class
+ * @param {string} pattern - Glob pattern
+ * @param {number} start - Index after the [
+ * @returns {number} - Index of the ], -1 if the class is not closed
+ */
+const findClassEnd = (pattern, start) => {
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === ']') {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Convert the inside of a character class to a regular expression class
+ * @param {string} body - Characters between [ and ]
+ * @returns {string} - Regular expression class
+ */
+const convertClass = (body) => {
+  let negate = false;
+  let index = 0;
+  if (body[0] === '^') {
+    negate = true;
+    index = 1;
+  }
+
+  // Unescape first, so ranges can be told apart from escaped dashes
+  const chars = [];
+  for (; index < body.length; index++) {
+    const escaped = body[index] === '\\' && index + 1 < body.length;
+    if (escaped) index++;
+    chars.push({ char: body[index], escaped });
+  }
+
+  let source = '';
+  for (let i = 0; i < chars.length; i++) {
+    const isRange = chars[i + 1]?.char === '-' && !chars[i + 1].escaped && i + 2 < chars.length;
+    if (isRange) {
+      // Like Redis, reversed ranges such as [z-a] match the same as [a-z]
+      const [low, high] = [chars[i].char, chars[i + 2].char].sort();
+      source += `${escapeRegExp(low)}-${escapeRegExp(high)}`;
+      i += 2;
+    } else {
+      source += escapeRegExp(chars[i].char);
+    }
+  }
+
+  if (!source) {
+    // An empty class matches nothing, a negated empty one any character
+    return negate ? '[\\s\\S]' : '(?!)';
+  }
+  return negate ? `[^${source}]` : `[${source}]`;
+};
+
+/**
+ * Convert a glob pattern to a regular expression matching whole keys
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '[') {
+      const end = findClassEnd(pattern, i + 1);
+      if (end === -1) {
+        // An unclosed [ is matched literally
+        source += '\\[';
+      } else {
+        source += convertClass(pattern.slice(i + 1, end));
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the literal start of a pattern, every matching key begins with it
+ * @param {string} pattern - Glob pattern
+ * @returns {string} - Characters before the first special one
+ */
+export function globPrefix(pattern) {
+  const index = pattern.search(/[*?[\\]/);
+  return index === -1 ? pattern : pattern.slice(0, index);
+}
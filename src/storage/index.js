@@ -0,0 +1,53 @@
+/**
+ * Storage adapters
+ * Key/value storage for sessions, handoff state and the update queue, chosen by config.storage.driver.
+ * Adapters follow Redis semantics: values are strings (others are converted with String()),
+ * TTLs are in seconds and missing values are null.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+import { RedisStorage } from './RedisStorage.js';
+import { SqliteStorage } from './SqliteStorage.js';
+
+/**
+ * Methods every storage adapter implements, test/storage.test.js checks their behavior
+ */
+export const STORAGE_METHODS = [
+  'ping',    // () => true, throws if the backend is unreachable
+  'status',  // () => { driver, connected, ... }, synchronous
+  'close',   // () => void, releases connections and timers
+  'get',     // (key) => value | null
+  'mget',    // (keys) => values in key order, null for missing keys
+  'set',     // (key, value, ttl?) => void, without ttl the key never expires
+  'setEx',   // (key, value, ttl) => void
+  'setNx',   // (key, value, ttl) => whether the key was set
+  'exists',  // (key) => boolean, sorted sets included
+  'del',     // (key) => whether the key existed
+  'incr',    // (key) => new value, atomic; missing keys start at 0 and the TTL is kept
+  'expire',  // (key, ttl) => whether the key exists
+  'ttl',     // (key) => seconds left, -1 without expiration, -2 for missing keys
+  'keys',    // (pattern) => keys matching a glob: *, ?, [abc], [^abc], [a-z] and \ escapes
+  'zadd',    // (key, score, member) => void
+  'zrem',    // (key, member) => whether the member existed
+  'zcard',   // (key) => number of members
+  'zrange',  // (key, start, stop) => members by score, stop inclusive and may be negative
+  'zclaim'   // (key, maxScore, newScore) => lowest member with score <= maxScore moved to newScore, atomic
+];
+
+/**
+ * Create the storage of a driver
+ * @param {object} settings - Storage settings, see config.storage
+ * @returns {MemoryStorage|RedisStorage|SqliteStorage} - Storage
+ */
+export function createStorage(settings) {
+  switch (settings.driver) {
+    case 'redis':
+      return new RedisStorage(settings.redis);
+    case 'sqlite':
+      return new SqliteStorage(settings.sqlite);
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${settings.driver}`);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Registry of local tools the assistant can call during a run
+ */
+
+import { config } from '../config/config.js';
+import { dbService } from '../services/dbService.js';
+import { logger } from '../utils/logger.js';
+import { validateSchema } from '../utils/schemaValidator.js';
+
+export class ToolRegistry {
+  constructor({ defaultTimeout = config.openai.toolTimeout } = {}) {
+    this.tools = new Map();
+    this.defaultTimeout = defaultTimeout;
+  }
+
+  /**
+   * Register a tool
+   * @param {object} tool - Tool definition
+   * @param {string} tool.name - Function name exposed to the assistant
+   * @param {string} tool.description - Description shown to the assistant
+   * @param {object} tool.parameters - JSON Schema of the arguments
+   * @param {Function} tool.handler - async (args, context) => output
+   * @param {number} tool.timeout - Timeout in milliseconds
+   */
+  register({ name, description, parameters = { type: 'object', properties: {} }, handler, timeout }) {
+    if (!name || typeof handler !== 'function') {
+      throw new Error('Tool name and handler are required');
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters,
+      handler,
+      timeout: timeout || this.defaultTimeout
+    });
+    logger.info('Tool registered', { name });
+  }
+
+  /**
+   * Check if tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether tool exists
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get function tool definitions for the Assistants API
+   * @returns {Array<object>} - Tool definitions
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  /**
+   * Execute a tool call requested by the assistant
+   * Never throws: failures are returned as { error } so the run can continue
+   * @param {object} call - Tool call
+   * @param {string} call.name - Tool name
+   * @param {string} call.rawArgs - JSON encoded arguments
+   * @param {string} call.threadId - Thread ID of the run
+   * @param {string} call.runId - Run ID
+   * @param {object} context - Caller context passed to the handler
+   * @returns {Promise<object>} - Tool output
+   */
+  async execute({ name, rawArgs, threadId, runId }, context = {}) {
+    const startTime = Date.now();
+    const tool = this.tools.get(name);
+    let args = null;
+    let status = 'success';
+    let output;
+
+    try {
+      if (!tool) {
+        status = 'unknown';
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      try {
+        args = JSON.parse(rawArgs || '{}');
+      } catch (error) {
+        status = 'invalid';
+        throw new Error(`Arguments are not valid JSON: ${error.message}`);
+      }
+
+      const errors = validateSchema(tool.parameters, args);
+      if (errors.length > 0) {
+        status = 'invalid';
+        throw new Error(`Invalid arguments: ${errors.join('; ')}`);
+      }
+
+      output = await this.withTimeout(tool.handler(args, context), tool.timeout, () => {
+        status = 'timeout';
+      });
+    } catch (error) {
+      if (status === 'success') {
+        status = 'error';
+      }
+      logger.error('Tool call failed:', error, { tool: name, threadId, runId, status });
+      output = { error: error.message };
+    }
+
+    const durationMs = Date.now() - startTime;
+    logger.info('Tool call handled', { tool: name, threadId, runId, status, durationMs });
+
+    // Logging must not slow down the run
+    dbService.logToolCall({
+      chatId: context.chatId,
+      threadId,
+      runId,
+      toolName: name,
+      args: args ?? rawArgs,
+      output,
+      status,
+      durationMs
+    });
+
+    return output;
+  }
+
+  /**
+   * Reject if promise does not settle in time
+   * @param {Promise} promise - Pending handler result
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Function} onTimeout - Called when the timeout fires
+   * @returns {Promise} - Handler result
+   */
+  withTimeout(promise, timeout, onTimeout) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        onTimeout();
+        reject(new Error(`Tool timed out after ${timeout}ms`));
+      }, timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Tools available to the assistant
+ * Register new local tools here
+ */
+
+import { ToolRegistry } from './ToolRegistry.js';
+import { transferToOperatorTool } from './transferToOperator.js';
+
+export const toolRegistry = new ToolRegistry();
+
+toolRegistry.register(transferToOperatorTool);
@@ -0,0 +1,34 @@
+/**
+ * Tool the assistant calls to hand the customer over to a human specialist
+ */
+
+export const transferToOperatorTool = {
+  name: 'transfer_to_operator',
+  description: 'Transfer the customer to a human specialist. Use it when the customer is ready to pay, ' +
+    'needs help with documents, or asks to talk to a human.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Short summary of what the customer needs from the specialist'
+      }
+    },
+    required: ['reason']
+  },
+
+  /**
+   * Switch the chat to human handoff
+   * Sets context.transferred so the caller can skip the assistant's reply
+   * @param {object} args - Tool arguments
+   * @param {object} context - Message context ({ chatId, from, botService })
+   * @returns {Promise<object>} - Tool output
+   */
+  handler: async ({ reason }, context) => {
+    context.transferred = await context.botService.transferToOperator(context.chatId, {
+      reason,
+      from: context.from
+    });
+    return { success: context.transferred };
+  }
+};
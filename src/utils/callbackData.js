@@ -0,0 +1,84 @@
+/**
+ * Signed callback data for inline keyboard buttons
+ * Format: namespace:action:arg1,arg2:signature, at most 64 bytes as Telegram requires
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { config } from '../config/config.js';
+
+// Telegram callback_data limit in bytes
+export const MAX_CALLBACK_DATA_LENGTH = 64;
+
+// Characters of the base64url HMAC kept, 60 bits is plenty for a button
+const SIGNATURE_LENGTH = 10;
+
+const NAME_REGEX = /^[a-z0-9_-]+$/i;
+
+/**
+ * Get signing secret, derived from the bot token unless configured
+ * @returns {string|Buffer} - HMAC key
+ */
+const getSecret = () => config.telegram.callbackSecret ||
+  createHash('sha256').update(String(config.telegram.token)).digest();
+
+/**
+ * Sign callback payload
+ * @param {string} payload - Data without signature
+ * @returns {string} - Signature
+ */
+const sign = (payload) => createHmac('sha256', getSecret())
+  .update(payload)
+  .digest('base64url')
+  .substring(0, SIGNATURE_LENGTH);
+
+/**
+ * Build signed callback data
+ * @param {string} namespace - Handler namespace, e.g. "op"
+ * @param {string} action - Action within the namespace
+ * @param {Array<string|number>} args - Action arguments
+ * @returns {string} - Callback data
+ */
+export const encodeCallbackData = (namespace, action, args = []) => {
+  if (!NAME_REGEX.test(namespace) || !NAME_REGEX.test(action)) {
+    throw new Error(`Invalid callback namespace or action: ${namespace}:${action}`);
+  }
+  if (args.some(arg => /[:,]/.test(String(arg)))) {
+    throw new Error('Callback arguments must not contain ":" or ","');
+  }
+
+  const payload = `${namespace}:${action}:${args.join(',')}`;
+  const data = `${payload}:${sign(payload)}`;
+
+  if (Buffer.byteLength(data) > MAX_CALLBACK_DATA_LENGTH) {
+    throw new Error(`Callback data exceeds ${MAX_CALLBACK_DATA_LENGTH} bytes: ${payload}`);
+  }
+
+  return data;
+};
+
+/**
+ * Parse and verify callback data
+ * @param {string} data - Callback data from a callback_query
+ * @returns {{namespace: string, action: string, args: Array<string>}|null} - Null if malformed or forged
+ */
+export const decodeCallbackData = (data) => {
+  const parts = String(data || '').split(':');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [namespace, action, rawArgs, signature] = parts;
+  const expected = Buffer.from(sign(`${namespace}:${action}:${rawArgs}`));
+  const actual = Buffer.from(signature);
+
+  // Bytes, not characters, a non-ASCII signature would make timingSafeEqual throw
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return {
+    namespace,
+    action,
+    args: rawArgs ? rawArgs.split(',') : []
+  };
+};
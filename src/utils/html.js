@@ -0,0 +1,26 @@
+/**
+ * HTML utilities for Telegram messages
+ */
+
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Turn Telegram HTML back into plain text
+ * Used when Telegram rejects formatted text
+ * @param {string} html - Telegram HTML
+ * @returns {string} - Plain text
+ */
+export const htmlToPlainText = (html) => String(html)
+  .replace(/<[^>]+>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
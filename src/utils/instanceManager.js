@@ -49,39 +49,27 @@ class InstanceManager {
       }
       
       // First, delete ALL existing instances for this hostname
-      const { error: deleteHostError } = await dbService.supabase
-        .from('bot_instances')
-        .delete()
-        .eq('hostname', this.hostname);
-      
-      if (deleteHostError) {
+      try {
+        await dbService.repository.deleteHostInstances(this.hostname);
+      } catch (deleteHostError) {
         logger.warn(`Error cleaning up instances for hostname: ${deleteHostError.message}`);
       }
 
       // Delete any stale instances
-      const staleTime = new Date(Date.now() - this.staleInstanceTimeout).toISOString();
-      const { error: staleError } = await dbService.supabase
-        .from('bot_instances')
-        .delete()
-        .lt('last_heartbeat', staleTime);
-      
-      if (staleError) {
+      const staleTime = new Date(Date.now() - this.staleInstanceTimeout);
+      try {
+        await dbService.repository.deleteStaleInstances(staleTime);
+      } catch (staleError) {
         logger.warn(`Error cleaning up stale instances: ${staleError.message}`);
       }
 
       // Register new instance
-      const { error: insertError } = await dbService.supabase
-        .from('bot_instances')
-        .insert({
-          instance_id: this.instanceId,
-          hostname: this.hostname,
-          last_heartbeat: new Date().toISOString(),
-          started_at: new Date().toISOString()
-        });
-      
-      if (insertError) {
-        throw insertError;
-      }
+      await dbService.repository.insertInstance({
+        instance_id: this.instanceId,
+        hostname: this.hostname,
+        last_heartbeat: new Date().toISOString(),
+        started_at: new Date().toISOString()
+      });
       
       // Start heartbeat and mark as registered
       this.startHeartbeat();
@@ -105,10 +93,7 @@ class InstanceManager {
     
     this.heartbeatInterval = setInterval(async () => {
       try {
-        await dbService.supabase
-          .from('bot_instances')
-          .update({ last_heartbeat: new Date().toISOString() })
-          .eq('instance_id', this.instanceId);
+        await dbService.repository.touchInstance(this.instanceId);
       } catch (error) {
         logger.error('Failed to update heartbeat', error);
       }
@@ -132,10 +117,7 @@ class InstanceManager {
     
     if (dbService.isInitialized() && this.isRegistered) {
       try {
-        await dbService.supabase
-          .from('bot_instances')
-          .delete()
-          .eq('instance_id', this.instanceId);
+        await dbService.repository.deleteInstance(this.instanceId);
         logger.info('Bot instance unregistered', { persistent: true });
       } catch (error) {
         logger.error('Failed to unregister bot instance', error);
@@ -0,0 +1,319 @@
+/**
+ * Durable job queue on top of a storage adapter
+ * Jobs live in a sorted set scored by the time they become visible. Claiming a job
+ * pushes its score forward by the visibility timeout, so a job that is never acknowledged,
+ * e.g. because the process died, becomes visible again and is retried.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class JobQueue {
+  /**
+   * @param {object} storage - Storage adapter with get/set/setEx/del and sorted set methods
+   * @param {object} options - Queue options
+   * @param {string} options.name - Queue name used in storage keys
+   * @param {number} options.visibilityTimeout - Milliseconds a claimed job stays hidden
+   * @param {number} options.maxAttempts - Attempts before a job goes to the dead-letter list
+   * @param {number} options.retryDelay - Base delay of the exponential retry backoff
+   * @param {number} options.maxRetryDelay - Maximum retry delay
+   * @param {number} options.concurrency - Jobs processed at the same time by the worker
+   * @param {number} options.pollInterval - Milliseconds between polls when the queue is empty
+   * @param {number} options.deadLetterTTL - Seconds dead jobs are kept
+   */
+  constructor(storage, {
+    name = 'updates',
+    visibilityTimeout = 120000,
+    maxAttempts = 5,
+    retryDelay = 2000,
+    maxRetryDelay = 60000,
+    concurrency = 10,
+    pollInterval = 1000,
+    deadLetterTTL = 7 * 24 * 3600
+  } = {}) {
+    if (!storage) {
+      throw new Error('Storage is required for JobQueue');
+    }
+
+    this.storage = storage;
+    this.name = name;
+    this.visibilityTimeout = visibilityTimeout;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.deadLetterTTL = deadLetterTTL;
+
+    this.jobsKey = `queue:${name}:jobs`;
+    this.deadKey = `queue:${name}:dead`;
+
+    this.running = false;
+    this.loop = null;
+    this.active = new Set();
+  }
+
+  getJobKey(id) {
+    return `queue:${this.name}:job:${id}`;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {object} payload - JSON serializable payload
+   * @returns {Promise<string>} - Job ID
+   */
+  async enqueue(payload) {
+    const job = {
+      id: randomUUID(),
+      payload,
+      attempts: 0,
+      enqueuedAt: Date.now()
+    };
+
+    // Body first, so a claimed ID always has a body
+    await this.storage.set(this.getJobKey(job.id), JSON.stringify(job));
+    await this.storage.zadd(this.jobsKey, job.enqueuedAt, job.id);
+
+    logger.debug('Job enqueued', { queue: this.name, jobId: job.id });
+    return job.id;
+  }
+
+  /**
+   * Claim the next visible job and hide it for the visibility timeout
+   * @returns {Promise<object|null>} - Job or null if none is due
+   */
+  async claim() {
+    const now = Date.now();
+    const id = await this.storage.zclaim(this.jobsKey, now, now + this.visibilityTimeout);
+    if (!id) return null;
+
+    const raw = await this.storage.get(this.getJobKey(id));
+    if (!raw) {
+      logger.warn('Dropping job without body', { queue: this.name, jobId: id });
+      await this.storage.zrem(this.jobsKey, id);
+      return this.claim();
+    }
+
+    const job = JSON.parse(raw);
+    job.attempts += 1;
+
+    // A job that keeps timing out would otherwise be retried forever
+    if (job.attempts > this.maxAttempts) {
+      await this.deadLetter(job, new Error('Visibility timeout expired too many times'));
+      return this.claim();
+    }
+
+    await this.storage.set(this.getJobKey(id), JSON.stringify(job));
+    return job;
+  }
+
+  /**
+   * Check if a failure of the job will not be retried
+   * @param {object} job - Claimed job
+   * @returns {boolean} - Whether this is the job's last attempt
+   */
+  isLastAttempt(job) {
+    return job.attempts >= this.maxAttempts;
+  }
+
+  /**
+   * Hide a running job for another visibility timeout, so it is not delivered twice
+   * @param {string} id - Job ID
+   */
+  async extend(id) {
+    await this.storage.zadd(this.jobsKey, Date.now() + this.visibilityTimeout, id);
+    logger.debug('Job visibility extended', { queue: this.name, jobId: id });
+  }
+
+  /**
+   * Acknowledge a processed job
+   * @param {string} id - Job ID
+   */
+  async ack(id) {
+    await this.storage.zrem(this.jobsKey, id);
+    await this.storage.del(this.getJobKey(id));
+    logger.debug('Job acknowledged', { queue: this.name, jobId: id });
+  }
+
+  /**
+   * Schedule a failed job for retry or move it to the dead-letter list
+   * @param {object} job - Claimed job
+   * @param {Error} error - Failure
+   */
+  async fail(job, error) {
+    if (this.isLastAttempt(job)) {
+      await this.deadLetter(job, error);
+      return;
+    }
+
+    const delay = Math.min(this.retryDelay * Math.pow(2, job.attempts - 1), this.maxRetryDelay);
+    job.lastError = error.message;
+
+    await this.storage.set(this.getJobKey(job.id), JSON.stringify(job));
+    await this.storage.zadd(this.jobsKey, Date.now() + delay, job.id);
+
+    logger.warn('Job failed, retry scheduled', {
+      queue: this.name,
+      jobId: job.id,
+      attempts: job.attempts,
+      delay,
+      error: error.message
+    });
+  }
+
+  /**
+   * Move a job to the dead-letter list
+   * @param {object} job - Job
+   * @param {Error} error - Last failure
+   */
+  async deadLetter(job, error) {
+    job.lastError = error.message;
+    job.failedAt = Date.now();
+
+    await this.storage.setEx(this.getJobKey(job.id), JSON.stringify(job), this.deadLetterTTL);
+    await this.storage.zadd(this.deadKey, job.failedAt, job.id);
+    await this.storage.zrem(this.jobsKey, job.id);
+
+    logger.error('Job moved to dead-letter list', error, {
+      queue: this.name,
+      jobId: job.id,
+      attempts: job.attempts
+    });
+  }
+
+  /**
+   * Get dead jobs, oldest first
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array<object>>} - Dead jobs that still have a body
+   */
+  async getDeadLetters(limit = 50) {
+    const ids = await this.storage.zrange(this.deadKey, 0, limit - 1);
+    const jobs = [];
+
+    for (const id of ids) {
+      const raw = await this.storage.get(this.getJobKey(id));
+      if (raw) {
+        jobs.push(JSON.parse(raw));
+      } else {
+        await this.storage.zrem(this.deadKey, id);
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Put a dead job back into the queue with a fresh attempt count
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} - Whether the job was found
+   */
+  async requeue(id) {
+    const raw = await this.storage.get(this.getJobKey(id));
+    if (!raw) return false;
+
+    const job = { ...JSON.parse(raw), attempts: 0 };
+    delete job.failedAt;
+
+    await this.storage.set(this.getJobKey(id), JSON.stringify(job));
+    await this.storage.zrem(this.deadKey, id);
+    await this.storage.zadd(this.jobsKey, Date.now(), id);
+    return true;
+  }
+
+  /**
+   * Get queue counters
+   * @returns {Promise<object>} - Queued, dead and locally active job counts
+   */
+  async getStats() {
+    return {
+      queued: await this.storage.zcard(this.jobsKey),
+      dead: await this.storage.zcard(this.deadKey),
+      active: this.active.size
+    };
+  }
+
+  /**
+   * Start the worker loop
+   * @param {Function} handler - async (payload, job) => void, throwing schedules a retry,
+   *   see isLastAttempt
+   */
+  start(handler) {
+    if (this.running) return;
+
+    this.running = true;
+    this.loop = this.run(handler);
+    logger.info('Job worker started', { queue: this.name, concurrency: this.concurrency });
+  }
+
+  /**
+   * Stop claiming new jobs
+   * Jobs still running are not acknowledged if the process exits and will be retried
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    await this.loop;
+    logger.info('Job worker stopped', { queue: this.name, active: this.active.size });
+  }
+
+  async run(handler) {
+    while (this.running) {
+      if (this.active.size >= this.concurrency) {
+        await Promise.race(this.active);
+        continue;
+      }
+
+      let job;
+      try {
+        job = await this.claim();
+      } catch (error) {
+        logger.error('Failed to claim job', error, { queue: this.name });
+      }
+
+      if (!job) {
+        await sleep(this.pollInterval);
+        continue;
+      }
+
+      const task = this.runJob(job, handler).finally(() => this.active.delete(task));
+      this.active.add(task);
+    }
+  }
+
+  /**
+   * Run handler for a job and acknowledge or fail it
+   * The job stays hidden while the handler runs, however long it takes
+   * Never throws
+   */
+  async runJob(job, handler) {
+    let extending = Promise.resolve();
+    const heartbeat = setInterval(() => {
+      extending = extending
+        .then(() => this.extend(job.id))
+        .catch(error => logger.error('Failed to extend job visibility', error, { queue: this.name, jobId: job.id }));
+    }, this.visibilityTimeout / 2);
+
+    const settle = async () => {
+      clearInterval(heartbeat);
+      // An extension still in flight would put the job back after ack or fail
+      await extending;
+    };
+
+    try {
+      await handler(job.payload, job);
+      await settle();
+      await this.ack(job.id);
+    } catch (error) {
+      await settle();
+      try {
+        await this.fail(job, error);
+      } catch (storageError) {
+        // The job stays hidden until the visibility timeout and is retried then
+        logger.error('Failed to record job failure', storageError, { queue: this.name, jobId: job.id });
+      }
+    }
+  }
+}
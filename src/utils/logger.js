@@ -8,6 +8,23 @@ import { dbService } from '../services/dbService.js';
  * Клас для розширеного логування
  */
 class Logger {
+  /**
+   * Логує налагоджувальне повідомлення (лише при LOG_LEVEL=debug)
+   * @param {string} message - Повідомлення для логування
+   * @param {object} meta - Додаткові метадані
+   */
+  debug(message, meta = {}) {
+    if (process.env.LOG_LEVEL !== 'debug') return;
+
+    const logEntry = {
+      level: 'debug',
+      timestamp: new Date().toISOString(),
+      message,
+      ...meta
+    };
+    console.log(JSON.stringify(logEntry));
+  }
+
   /**
    * Логує інформаційне повідомлення
    * @param {string} message - Повідомлення для логування
@@ -24,15 +41,13 @@ class Logger {
     
     // Optionally store in DB
     if (meta.persistent && dbService.isInitialized()) {
-      dbService.supabase
-        .from('logs')
-        .insert({
+      dbService.repository
+        .insertLog({
           level: 'info',
           message,
           metadata: meta,
           created_at: new Date().toISOString()
         })
-        .then()
         .catch(error => {
           console.error('Failed to store log in database:', error);
         });
@@ -55,15 +70,13 @@ class Logger {
     
     // Optionally store in DB
     if (meta.persistent && dbService.isInitialized()) {
-      dbService.supabase
-        .from('logs')
-        .insert({
+      dbService.repository
+        .insertLog({
           level: 'warn',
           message,
           metadata: meta,
           created_at: new Date().toISOString()
         })
-        .then()
         .catch(error => {
           console.error('Failed to store warning in database:', error);
         });
@@ -89,9 +102,8 @@ class Logger {
     
     // Always store errors in DB
     if (dbService.isInitialized()) {
-      dbService.supabase
-        .from('logs')
-        .insert({
+      dbService.repository
+        .insertLog({
           level: 'error',
           message,
           error_message: error?.message || String(error),
@@ -99,7 +111,6 @@ class Logger {
           metadata: meta,
           created_at: new Date().toISOString()
         })
-        .then()
         .catch(err => {
           console.error('Failed to store error in database:', err);
         });
@@ -108,23 +119,12 @@ class Logger {
 
   async getLogs(level = null, limit = 100) {
     if (dbService.isInitialized()) {
-      let query = dbService.supabase
-        .from('logs')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
-      
-      if (level) {
-        query = query.eq('level', level);
-      }
-      
-      const { data, error } = await query;
-      if (error) {
+      try {
+        return await dbService.repository.getLogs({ level, limit });
+      } catch (error) {
         console.error('Failed to fetch logs:', error);
         return [];
       }
-      
-      return data;
     }
     return [];
   }
@@ -0,0 +1,118 @@
+/**
+ * Markdown renderer for Telegram
+ * Converts assistant Markdown into the HTML subset Telegram supports
+ * (b, i, s, code, pre, a, blockquote) and escapes everything else
+ */
+
+import { escapeHtml } from './html.js';
+
+// Placeholder for code that must not be touched by inline formatting
+const token = (index) => `\u0000${index}\u0000`;
+
+/**
+ * Escape a URL for use inside an href attribute
+ * @param {string} url - Already HTML-escaped URL
+ * @returns {string} - Attribute-safe URL
+ */
+const escapeHref = (url) => url.replace(/"/g, '&quot;');
+
+/**
+ * Apply inline formatting to escaped text
+ * Link URLs are swapped for placeholders first, so emphasis markers in a URL
+ * never end up as tags inside its href
+ * @param {string} text - HTML-escaped text
+ * @returns {string} - Text with inline tags
+ */
+const renderInline = (text) => {
+  const urls = [];
+
+  return text
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => {
+      urls.push(url);
+      return `\u0001${urls.length - 1}\u0002${label}\u0003`;
+    })
+    .replace(/\*\*(?!\s)(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/__(?!\s)(.+?)__/g, '<b>$1</b>')
+    .replace(/~~(?!\s)(.+?)~~/g, '<s>$1</s>')
+    .replace(/(^|[^\w*])\*(?![\s*])(.+?)\*(?![\w*])/g, '$1<i>$2</i>')
+    .replace(/(^|[^\w])_(?![\s_])(.+?)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/\u0001(\d+)\u0002/g, (_, index) => `<a href="${escapeHref(urls[Number(index)])}">`)
+    .replace(/\u0003/g, '</a>');
+};
+
+/**
+ * Render a single Markdown line
+ * @param {string} line - HTML-escaped line
+ * @returns {string} - Rendered line
+ */
+const renderLine = (line) => {
+  const heading = line.match(/^#{1,6}\s+(.*)$/);
+  if (heading) {
+    return `<b>${renderInline(heading[1])}</b>`;
+  }
+
+  const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+  if (bullet) {
+    return `${bullet[1]}• ${renderInline(bullet[2])}`;
+  }
+
+  if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+    return '──────────';
+  }
+
+  return renderInline(line);
+};
+
+/**
+ * Convert assistant Markdown to Telegram HTML
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Telegram HTML
+ */
+export const markdownToTelegramHtml = (markdown) => {
+  if (!markdown) return '';
+
+  const code = [];
+  let text = String(markdown)
+    // File search citations like 【4:0†source】 mean nothing to the user
+    .replace(/【[^】]*】/g, '')
+    .replace(/\r\n/g, '\n');
+
+  // Fenced code blocks
+  text = text.replace(/```([\w+-]*)[^\S\n]*\n?([\s\S]*?)```/g, (_, language, content) => {
+    const attr = language ? ` class="language-${language}"` : '';
+    code.push(`<pre><code${attr}>${escapeHtml(content.replace(/\n$/, ''))}</code></pre>`);
+    return token(code.length - 1);
+  });
+
+  // Inline code
+  text = text.replace(/`([^`\n]+)`/g, (_, content) => {
+    code.push(`<code>${escapeHtml(content)}</code>`);
+    return token(code.length - 1);
+  });
+
+  const lines = escapeHtml(text).split('\n');
+  const output = [];
+  let quote = [];
+
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      output.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (const line of lines) {
+    const quoted = line.match(/^&gt;\s?(.*)$/);
+    if (quoted) {
+      quote.push(renderLine(quoted[1]));
+      continue;
+    }
+    flushQuote();
+    output.push(renderLine(line));
+  }
+  flushQuote();
+
+  return output
+    .join('\n')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => code[Number(index)]);
+};
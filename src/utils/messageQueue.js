@@ -6,19 +6,32 @@ import { logger } from './logger.js';
 
 /**
  * Клас для керування чергою повідомлень
+ * Повідомлення одного чату обробляються строго по черзі (FIFO),
+ * різні чати обробляються паралельно
  */
 export class MessageQueue {
   /**
    * Створює нову чергу повідомлень
-   * @param {number} concurrency - Кількість одночасних обробок (за замовчуванням 5)
+   * @param {number} concurrency - Кількість чатів, що обробляються одночасно (за замовчуванням 5)
    */
   constructor(concurrency = 5) {
-    this.queue = [];
+    this.chats = new Map(); // ключ чату -> повідомлення, що очікують
+    this.readyChats = []; // чати, готові до обробки, у порядку надходження
+    this.activeChats = new Map(); // ключ чату -> елемент, що обробляється зараз
+    this.lastAddedAt = new Map(); // ключ чату -> час надходження останнього повідомлення
     this.processing = 0;
     this.concurrency = concurrency;
-    this.isProcessing = false;
   }
-  
+
+  /**
+   * Повертає ключ чату для повідомлення
+   * @param {object} message - Повідомлення Telegram
+   * @returns {string} - Ключ чату
+   */
+  getChatKey(message) {
+    return String(message.chat?.id ?? 'unknown');
+  }
+
   /**
    * Додає повідомлення до черги на обробку
    * @param {object} message - Повідомлення для обробки
@@ -27,59 +40,72 @@ export class MessageQueue {
    */
   add(message, processor) {
     return new Promise((resolve, reject) => {
-      // Додаємо до черги
-      this.queue.push({
+      const chatKey = this.getChatKey(message);
+
+      if (!this.chats.has(chatKey)) {
+        this.chats.set(chatKey, []);
+      }
+
+      const chatQueue = this.chats.get(chatKey);
+      this.lastAddedAt.set(chatKey, Date.now());
+      chatQueue.push({
         message,
         processor,
         resolve,
         reject,
+        followers: [], // повідомлення, забрані через take, завершуються разом з цим
         addedAt: Date.now()
       });
-      
-      logger.info(`Message added to queue, length: ${this.queue.length}`, { 
-        chatId: message.chat?.id 
-      });
-      
-      // Запускаємо обробку, якщо вона ще не йде
-      if (!this.isProcessing) {
-        this.processQueue();
+
+      // Чат стає готовим, лише якщо в ньому нічого не обробляється і не чекає
+      if (chatQueue.length === 1 && !this.activeChats.has(chatKey)) {
+        this.readyChats.push(chatKey);
       }
+
+      logger.info(`Message added to queue, chat depth: ${this.getChatDepth(chatKey)}`, {
+        chatId: message.chat?.id,
+        pending: this.getPendingCount()
+      });
+
+      this.processQueue();
     });
   }
-  
+
   /**
-   * Обробляє чергу повідомлень
+   * Запускає обробку готових чатів, поки є вільні слоти
    */
-  async processQueue() {
-    if (this.isProcessing) return;
-    this.isProcessing = true;
-    
-    try {
-      while (this.queue.length > 0 && this.processing < this.concurrency) {
-        // Беремо наступне повідомлення з черги
-        const item = this.queue.shift();
-        this.processing++;
-        
-        // Логуємо час очікування
-        const waitTime = Date.now() - item.addedAt;
-        logger.info(`Processing message, wait time: ${waitTime}ms`, { 
-          chatId: item.message.chat?.id 
-        });
-        
-        // Обробляємо асинхронно
-        this.processItem(item).finally(() => {
-          this.processing--;
-          // Продовжуємо обробку черги
-          this.processQueue();
-        });
-      }
-    } finally {
-      if (this.queue.length === 0 && this.processing === 0) {
-        this.isProcessing = false;
-      }
+  processQueue() {
+    while (this.processing < this.concurrency && this.readyChats.length > 0) {
+      const chatKey = this.readyChats.shift();
+      const item = this.chats.get(chatKey).shift();
+
+      this.activeChats.set(chatKey, item);
+      this.processing++;
+
+      // Логуємо час очікування
+      const waitTime = Date.now() - item.addedAt;
+      logger.info(`Processing message, wait time: ${waitTime}ms`, {
+        chatId: item.message.chat?.id
+      });
+
+      // Обробляємо асинхронно
+      this.processItem(item).finally(() => {
+        this.processing--;
+        this.activeChats.delete(chatKey);
+
+        // Наступне повідомлення цього чату стає в кінець черги готових чатів
+        if (this.chats.get(chatKey).length > 0) {
+          this.readyChats.push(chatKey);
+        } else {
+          this.chats.delete(chatKey);
+          this.lastAddedAt.delete(chatKey);
+        }
+
+        this.processQueue();
+      });
     }
   }
-  
+
   /**
    * Обробляє один елемент черги
    * @param {object} item - Елемент черги
@@ -88,14 +114,104 @@ export class MessageQueue {
     try {
       const result = await item.processor(item.message);
       item.resolve(result);
+      item.followers.forEach(follower => follower.resolve(null));
     } catch (error) {
-      logger.error('Error processing message', error, { 
-        chatId: item.message.chat?.id 
+      logger.error('Error processing message', error, {
+        chatId: item.message.chat?.id
       });
       item.reject(error);
+      item.followers.forEach(follower => follower.reject(error));
     }
   }
+
+  /**
+   * Чекає, поки в чат не перестануть надходити нові повідомлення
+   * @param {number|string} chatId - ID чату
+   * @param {number} window - Скільки мілісекунд тиші вважати завершенням вводу
+   * @param {number} maxWait - Максимальний загальний час очікування в мілісекундах
+   */
+  async waitForQuiet(chatId, window, maxWait = Infinity) {
+    const chatKey = String(chatId);
+    const deadline = Date.now() + maxWait;
+
+    while (true) {
+      const now = Date.now();
+      const quietFor = now - (this.lastAddedAt.get(chatKey) || 0);
+      const wait = Math.min(window - quietFor, deadline - now);
+      if (wait <= 0) return;
+
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Забирає з початку черги чату повідомлення, що підходять під умову
+   * Забрані повідомлення вважаються обробленими разом з поточним: їхні проміси
+   * виконуються або відхиляються, коли завершиться обробка поточного
+   * @param {number|string} chatId - ID чату
+   * @param {Function} predicate - Умова для повідомлення
+   * @returns {Array<object>} - Забрані повідомлення в порядку надходження
+   */
+  take(chatId, predicate) {
+    const chatKey = String(chatId);
+    const chatQueue = this.chats.get(chatKey);
+    const active = this.activeChats.get(chatKey);
+    const taken = [];
+
+    while (chatQueue?.length > 0 && predicate(chatQueue[0].message)) {
+      const item = chatQueue.shift();
+      if (active) {
+        active.followers.push(item);
+      } else {
+        item.resolve(null);
+      }
+      taken.push(item.message);
+    }
+
+    return taken;
+  }
+
+  /**
+   * Повертає кількість повідомлень чату в черзі, включно з тим, що обробляється
+   * @param {number|string} chatId - ID чату
+   * @returns {number} - Глибина черги чату
+   */
+  getChatDepth(chatId) {
+    const chatKey = String(chatId);
+    const pending = this.chats.get(chatKey)?.length || 0;
+    return pending + (this.activeChats.has(chatKey) ? 1 : 0);
+  }
+
+  /**
+   * Повертає кількість повідомлень, що очікують на обробку
+   * @returns {number} - Кількість повідомлень
+   */
+  getPendingCount() {
+    let pending = 0;
+    for (const chatQueue of this.chats.values()) {
+      pending += chatQueue.length;
+    }
+    return pending;
+  }
+
+  /**
+   * Повертає метрики черги
+   * @returns {object} - Кількість оброблюваних і очікуючих повідомлень та глибина по чатах
+   */
+  getMetrics() {
+    const chats = {};
+    for (const chatKey of this.chats.keys()) {
+      chats[chatKey] = this.getChatDepth(chatKey);
+    }
+
+    return {
+      processing: this.processing,
+      pending: this.getPendingCount(),
+      concurrency: this.concurrency,
+      chats
+    };
+  }
 }
 
 // Експортуємо глобальний екземпляр черги
-export const messageQueue = new MessageQueue(); 
\ No newline at end of file
+export const messageQueue = new MessageQueue();
@@ -0,0 +1,200 @@
+/**
+ * Long message splitting for Telegram
+ * Breaks text at paragraph, then sentence, then line, then word boundaries
+ * and keeps HTML valid by closing open tags at the end of a chunk and
+ * reopening them at the start of the next one
+ */
+
+// Telegram message length limit
+export const MAX_MESSAGE_LENGTH = 4096;
+
+// Room kept for a "(12/34)" page footer
+const FOOTER_RESERVE = 16;
+
+const TAG_REGEX = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*>/gi;
+
+/**
+ * Find where the current chunk ends and the next one starts
+ * A boundary is only used if it keeps the chunk at least half full,
+ * and in HTML never inside a tag or an entity
+ * @param {string} text - Remaining text
+ * @param {number} budget - Maximum chunk length
+ * @param {boolean} html - Whether text is HTML
+ * @returns {{end: number, next: number}} - Chunk end and next chunk start
+ */
+const findCut = (text, budget, html) => {
+  const window = text.substring(0, budget + 1);
+  const minimum = Math.floor(budget / 2);
+  const isSafe = (position) => !html || !isInsideMarkup(text, position);
+
+  // Last occurrence of a separator at or before position that is safe to cut at
+  const lastSafe = (separator, position) => {
+    let index = text.lastIndexOf(separator, position);
+    while (index > 0 && !isSafe(index)) {
+      index = text.lastIndexOf(separator, index - 1);
+    }
+    return index;
+  };
+
+  const paragraph = lastSafe('\n\n', budget);
+  if (paragraph >= minimum) {
+    return { end: paragraph, next: skip(text, paragraph, /\n/) };
+  }
+
+  let sentence = -1;
+  const sentenceRegex = /[.!?…](?=\s)/g;
+  let match;
+  while ((match = sentenceRegex.exec(window)) && match.index < budget) {
+    if (isSafe(match.index + 1)) {
+      sentence = match.index + 1;
+    }
+  }
+  if (sentence >= minimum) {
+    const next = skip(text, sentence, /[ \t]/);
+    return { end: sentence, next: text[next] === '\n' ? next + 1 : next };
+  }
+
+  const line = lastSafe('\n', budget);
+  if (line >= minimum) {
+    return { end: line, next: skip(text, line, /\n/) };
+  }
+
+  const word = lastSafe(' ', budget);
+  if (word > 0) {
+    return { end: word, next: word + 1 };
+  }
+
+  const hard = html ? avoidMarkup(text, budget) : budget;
+  return { end: hard, next: hard };
+};
+
+/**
+ * Advance position over characters matching a pattern
+ * @param {string} text - Text
+ * @param {number} position - Start position
+ * @param {RegExp} pattern - Single character pattern
+ * @returns {number} - First position not matching
+ */
+const skip = (text, position, pattern) => {
+  while (position < text.length && pattern.test(text[position])) {
+    position++;
+  }
+  return position;
+};
+
+/**
+ * Check if a cut at position would split a tag or an entity
+ * @param {string} text - HTML text
+ * @param {number} position - Proposed cut
+ * @returns {boolean} - Whether position is inside markup
+ */
+const isInsideMarkup = (text, position) => {
+  const before = text.substring(0, position);
+  return before.lastIndexOf('<') > before.lastIndexOf('>') || /&[a-z0-9#]*$/i.test(before);
+};
+
+/**
+ * Move a hard cut back so it does not land inside a tag or an entity
+ * @param {string} text - HTML text
+ * @param {number} position - Proposed cut
+ * @returns {number} - Safe cut
+ */
+const avoidMarkup = (text, position) => {
+  const before = text.substring(0, position);
+  const tagStart = before.lastIndexOf('<');
+  if (tagStart > before.lastIndexOf('>')) {
+    position = tagStart;
+  }
+
+  const entity = text.substring(0, position).match(/&[a-z0-9#]*$/i);
+  if (entity) {
+    position -= entity[0].length;
+  }
+
+  return Math.max(position, 1);
+};
+
+/**
+ * Update open tag stack with the tags of a segment
+ * @param {Array<{name: string, tag: string}>} stack - Tags open before the segment
+ * @param {string} segment - HTML segment
+ * @returns {Array<{name: string, tag: string}>} - Tags open after the segment
+ */
+const trackTags = (stack, segment) => {
+  const open = [...stack];
+
+  for (const [tag, closing, name] of segment.matchAll(TAG_REGEX)) {
+    const lowerName = name.toLowerCase();
+    if (closing) {
+      const index = open.map(item => item.name).lastIndexOf(lowerName);
+      if (index !== -1) {
+        open.splice(index, 1);
+      }
+    } else {
+      open.push({ name: lowerName, tag });
+    }
+  }
+
+  return open;
+};
+
+/**
+ * Build closing tags for an open tag stack
+ * @param {Array<{name: string}>} stack - Open tags
+ * @returns {string} - Closing tags in reverse order
+ */
+const closeTags = (stack) => stack.map(({ name }) => `</${name}>`).reverse().join('');
+
+/**
+ * Split text into Telegram-sized messages
+ * @param {string} text - Text to split
+ * @param {object} options - Split options
+ * @param {number} options.maxLength - Maximum length of one message
+ * @param {boolean} options.html - Whether text is Telegram HTML
+ * @param {boolean} options.pageFooter - Append "(1/3)" style footers
+ * @returns {Array<string>} - Message chunks
+ */
+export const splitMessage = (text, { maxLength = MAX_MESSAGE_LENGTH, html = true, pageFooter = false } = {}) => {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const limit = maxLength - (pageFooter ? FOOTER_RESERVE : 0);
+  const chunks = [];
+  let openTags = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    const prefix = openTags.map(({ tag }) => tag).join('');
+    const remainingTags = html ? trackTags(openTags, rest) : [];
+    const last = prefix + rest + closeTags(remainingTags);
+
+    if (last.length <= limit) {
+      chunks.push(last);
+      break;
+    }
+
+    let budget = limit - prefix.length;
+    let chunk;
+    let cut;
+    let stack;
+
+    // Closing tags depend on where we cut, so shrink the budget until it fits
+    do {
+      cut = findCut(rest, budget, html);
+      stack = html ? trackTags(openTags, rest.substring(0, cut.end)) : [];
+      chunk = prefix + rest.substring(0, cut.end) + closeTags(stack);
+      budget -= Math.max(chunk.length - limit, 1);
+    } while (chunk.length > limit && budget > 1);
+
+    chunks.push(chunk);
+    openTags = stack;
+    rest = rest.substring(Math.max(cut.next, 1));
+  }
+
+  if (pageFooter && chunks.length > 1) {
+    return chunks.map((chunk, index) => `${chunk}\n\n(${index + 1}/${chunks.length})`);
+  }
+
+  return chunks;
+};
@@ -0,0 +1,95 @@
+/**
+ * Minimal JSON Schema validator for tool arguments
+ * Supports the subset used by OpenAI function definitions:
+ * type, properties, required, additionalProperties, enum, items,
+ * minimum/maximum and minLength/maxLength
+ */
+
+/**
+ * Get JSON Schema type of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - JSON Schema type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check value against a single JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - Whether value matches
+ */
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate value against schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of value, used in error messages
+ * @returns {Array<string>} - Validation errors, empty if valid
+ */
+export const validateSchema = (schema, value, path = 'arguments') => {
+  if (!schema) return [];
+
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} must be of type ${types.join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,152 @@
+/**
+ * Outbound Telegram request scheduler
+ * Spaces requests to stay within Telegram's broadcast limits and waits out 429 responses
+ */
+
+import { logger } from './logger.js';
+
+// Methods that count as sending to a chat
+// Chat actions such as the typing indicator are refreshed every few seconds and must not use up the budget
+const SEND_METHODS = /^(?!sendChatAction)(send|edit|copy|forward)/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check if a chat ID belongs to a group, supergroup or channel
+ * @param {number|string} chatId - Chat ID or @username
+ * @returns {boolean} - Whether the chat is not a private chat
+ */
+const isGroupChat = (chatId) => (typeof chatId === 'string' && chatId.startsWith('@')) || Number(chatId) < 0;
+
+export class SendScheduler {
+  /**
+   * @param {object} limits - Rate limits
+   * @param {number} limits.globalPerSecond - Messages per second across all chats
+   * @param {number} limits.privatePerSecond - Messages per second to one private chat
+   * @param {number} limits.groupPerMinute - Messages per minute to one group
+   * @param {number} limits.maxRetries - Retries after 429 responses
+   */
+  constructor({ globalPerSecond = 30, privatePerSecond = 1, groupPerMinute = 20, maxRetries = 3 } = {}) {
+    this.globalInterval = 1000 / globalPerSecond;
+    this.privateInterval = 1000 / privatePerSecond;
+    this.groupInterval = 60000 / groupPerMinute;
+    this.maxRetries = maxRetries;
+
+    this.globalNextAt = 0;
+    this.chatNextAt = new Map(); // chat ID -> earliest time of the next send
+    this.pausedUntil = new Map(); // chat ID -> end of a 429 pause
+  }
+
+  /**
+   * Route chat-bound requests of a bot instance through the scheduler
+   * node-telegram-bot-api sends every API call through _request, so this covers all send paths
+   * @param {TelegramBot} bot - Bot instance
+   */
+  attach(bot) {
+    const request = bot._request.bind(bot);
+
+    bot._request = (path, options = {}) => {
+      const chatId = options.form?.chat_id ?? options.qs?.chat_id;
+      if (chatId === undefined) {
+        return request(path, options);
+      }
+
+      return this.schedule(chatId, () => request(path, options), {
+        throttle: SEND_METHODS.test(path),
+        // Uploads are streams that cannot be sent twice
+        retry: !options.formData
+      });
+    };
+  }
+
+  /**
+   * Run a request for a chat when the rate limits allow it
+   * @param {number|string} chatId - Target chat
+   * @param {Function} task - Request to run
+   * @param {object} options - Scheduling options
+   * @param {boolean} options.throttle - Whether the request counts against send limits
+   * @param {boolean} options.retry - Whether the request may be repeated after a 429
+   * @returns {Promise} - Request result
+   */
+  async schedule(chatId, task, { throttle = true, retry = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (throttle) {
+        await this.acquire(chatId);
+      } else {
+        await this.waitForChat(chatId);
+      }
+
+      try {
+        return await task();
+      } catch (error) {
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter === null || !retry || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        // Everything else for this chat waits too
+        const resumeAt = Date.now() + retryAfter * 1000;
+        this.pausedUntil.set(String(chatId), resumeAt);
+        this.chatNextAt.set(String(chatId), Math.max(resumeAt, this.chatNextAt.get(String(chatId)) || 0));
+        logger.warn('Telegram rate limit hit, waiting', { chatId, retryAfter, attempt: attempt + 1 });
+        await sleep(retryAfter * 1000);
+      }
+    }
+  }
+
+  /**
+   * Reserve the next send slot of a chat, then a global slot
+   * @param {number|string} chatId - Target chat
+   */
+  async acquire(chatId) {
+    const chatKey = String(chatId);
+    const interval = isGroupChat(chatId) ? this.groupInterval : this.privateInterval;
+
+    const chatAt = Math.max(Date.now(), this.chatNextAt.get(chatKey) || 0);
+    this.chatNextAt.set(chatKey, chatAt + interval);
+    await sleep(chatAt - Date.now());
+
+    // The global slot is taken only once the chat is due, so a busy chat does not hold up others
+    const globalAt = Math.max(Date.now(), this.globalNextAt);
+    this.globalNextAt = globalAt + this.globalInterval;
+    await sleep(globalAt - Date.now());
+
+    this.prune();
+  }
+
+  /**
+   * Wait while a chat is paused after a 429, without taking a slot
+   * @param {number|string} chatId - Target chat
+   */
+  async waitForChat(chatId) {
+    const pausedUntil = this.pausedUntil.get(String(chatId)) || 0;
+    await sleep(pausedUntil - Date.now());
+  }
+
+  /**
+   * Get retry_after seconds of a 429 response
+   * @param {Error} error - Telegram API error
+   * @returns {number|null} - Seconds to wait or null if not rate limited
+   */
+  getRetryAfter(error) {
+    if (error.response?.statusCode !== 429) {
+      return null;
+    }
+    return Number(error.response.body?.parameters?.retry_after) || 1;
+  }
+
+  /**
+   * Drop chats whose slots are in the past
+   */
+  prune() {
+    if (this.chatNextAt.size < 1000) return;
+
+    const now = Date.now();
+    for (const [chatKey, nextAt] of this.chatNextAt) {
+      if (nextAt < now) {
+        this.chatNextAt.delete(chatKey);
+        this.pausedUntil.delete(chatKey);
+      }
+    }
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Streaming message utilities
+ * Shows a growing assistant reply by editing Telegram messages in place
+ */
+
+import { logger } from './logger.js';
+
+// Telegram message length limit
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Find where to cut text so a message stays within the limit
+ * Prefers a line break, then a space, in the second half of the chunk
+ * @param {string} text - Text to cut
+ * @param {number} limit - Maximum chunk length
+ * @returns {number} - Cut position
+ */
+const findBreak = (text, limit) => {
+  const chunk = text.substring(0, limit);
+  const newline = chunk.lastIndexOf('\n');
+  if (newline > limit / 2) return newline;
+
+  const space = chunk.lastIndexOf(' ');
+  if (space > limit / 2) return space;
+
+  return limit;
+};
+
+/**
+ * Reply that is sent as a placeholder and updated while text streams in
+ * Edits are throttled, text longer than one message rolls over into new messages
+ */
+export class StreamingMessage {
+  /**
+   * @param {object} bot - Telegram bot instance
+   * @param {number} chatId - Chat ID to reply in
+   * @param {object} options - Streaming options
+   * @param {number} options.editInterval - Minimum milliseconds between edits
+   * @param {number} options.maxLength - Maximum length of one message
+   * @param {string} options.placeholder - Text shown before the first delta
+   * @param {Function} options.format - Converts final text of each message to Telegram HTML
+   */
+  constructor(bot, chatId, { editInterval = 1200, maxLength = MAX_MESSAGE_LENGTH, placeholder = '…', format = null } = {}) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.editInterval = editInterval;
+    this.maxLength = maxLength;
+    this.placeholder = placeholder;
+    this.format = format;
+
+    this.messages = []; // [{ messageId, text }], the last one is being edited
+    this.offset = 0; // Where the live message starts in the full text
+    this.latestText = '';
+    this.lastEditAt = 0;
+    this.timer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Send the placeholder message
+   */
+  async start() {
+    await this.sendLive(this.placeholder);
+  }
+
+  /**
+   * Schedule an update with the full text received so far
+   * @param {string} text - Full text so far
+   */
+  update(text) {
+    this.latestText = text;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastEditAt + this.editInterval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // A failed intermediate edit is logged by enqueue, the next update retries it
+      this.enqueue(() => this.render(this.latestText)).catch(() => {});
+    }, wait);
+  }
+
+  /**
+   * Write the final text and wait for all edits to finish
+   * Throws if the final text could not be shown, formatting failures only keep it plain
+   * @param {string} text - Final text
+   */
+  async finish(text) {
+    this.cancelTimer();
+    await this.enqueue(() => this.render(text));
+
+    if (this.format) {
+      await this.enqueue(() => this.applyFormat());
+    }
+  }
+
+  /**
+   * Re-render every sent message with formatting
+   * Streaming shows plain text because partial Markdown cannot be rendered safely
+   * A message Telegram refuses to format stays plain
+   */
+  async applyFormat() {
+    for (const message of this.messages) {
+      const html = this.format(message.text);
+      if (!html.trim() || html === message.text) continue;
+
+      try {
+        await this.bot.editMessageText(html, {
+          chat_id: this.chatId,
+          message_id: message.messageId,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        });
+      } catch (error) {
+        logger.warn('Failed to format streamed message, keeping plain text', {
+          chatId: this.chatId,
+          messageId: message.messageId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get IDs of the Telegram messages holding the reply
+   * @returns {Array<number>} - Message IDs in order
+   */
+  getMessageIds() {
+    return this.messages.map(({ messageId }) => messageId);
+  }
+
+  /**
+   * Delete everything sent so far, e.g. when the chat was handed to an operator
+   */
+  async discard() {
+    this.cancelTimer();
+    await this.queue;
+
+    for (const { messageId } of this.messages) {
+      await this.bot.deleteMessage(this.chatId, messageId).catch(error => {
+        logger.warn('Failed to delete streamed message', { chatId: this.chatId, messageId, error: error.message });
+      });
+    }
+    this.messages = [];
+  }
+
+  cancelTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run Telegram calls one at a time so edits never overtake each other
+   * A failed task is logged and does not stop the tasks queued after it
+   * @param {Function} task - Async task
+   * @returns {Promise} - Result of the task, rejects if it failed
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(error => {
+      logger.error('Failed to update streamed message', error, { chatId: this.chatId });
+    });
+    return result;
+  }
+
+  /**
+   * Show text, rolling over into new messages when it exceeds the limit
+   * @param {string} text - Full text so far
+   */
+  async render(text) {
+    let live = text.substring(this.offset);
+
+    while (live.length > this.maxLength) {
+      const cut = findBreak(live, this.maxLength);
+      await this.editLive(live.substring(0, cut));
+
+      this.offset += cut;
+      while (/\s/.test(text[this.offset] || '')) {
+        this.offset++;
+      }
+      live = text.substring(this.offset);
+      await this.sendLive(live.substring(0, this.maxLength) || this.placeholder);
+    }
+
+    await this.editLive(live);
+  }
+
+  /**
+   * Send a new message that becomes the live one
+   * @param {string} text - Message text
+   */
+  async sendLive(text) {
+    const sent = await this.bot.sendMessage(this.chatId, text, { disable_web_page_preview: true });
+    this.messages.push({ messageId: sent.message_id, text });
+    this.lastEditAt = Date.now();
+  }
+
+  /**
+   * Edit the live message unless the text is unchanged
+   * @param {string} text - New message text
+   */
+  async editLive(text) {
+    const live = this.messages[this.messages.length - 1];
+    if (!live || !text.trim() || live.text === text) return;
+
+    try {
+      await this.bot.editMessageText(text, {
+        chat_id: this.chatId,
+        message_id: live.messageId,
+        disable_web_page_preview: true
+      });
+      live.text = text;
+      this.lastEditAt = Date.now();
+    } catch (error) {
+      if (!error.message?.includes('message is not modified')) {
+        throw error;
+      }
+    }
+  }
+}
@@ -1,5 +1,5 @@
 /**
- * Тестовий скрипт для перевірки підключення до Supabase
+ * Тестовий скрипт для перевірки підключення до бази даних
  */
 
 import { config } from './src/config/config.js';
@@ -9,7 +9,7 @@ import { logger } from './src/utils/logger.js';
 async function testConnection() {
   try {
     // Initialize the database service
-    dbService.init(config.supabase.url, config.supabase.key);
+    dbService.init(config.database);
     
     if (!dbService.isInitialized()) {
       throw new Error('Database service not initialized');
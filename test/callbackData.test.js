@@ -0,0 +1,81 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { config } from '../src/config/config.js';
+import { decodeCallbackData, encodeCallbackData, MAX_CALLBACK_DATA_LENGTH } from '../src/utils/callbackData.js';
+
+describe('callbackData', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { token: config.telegram.token, callbackSecret: config.telegram.callbackSecret };
+    config.telegram.token = '123456:test-token';
+    config.telegram.callbackSecret = undefined;
+  });
+
+  afterEach(() => {
+    Object.assign(config.telegram, saved);
+  });
+
+  it('round-trips namespace, action and arguments', () => {
+    const data = encodeCallbackData('op', 'take', [123456789, 'abc']);
+
+    assert.match(data, /^op:take:123456789,abc:[\w-]{10}$/);
+    assert.deepEqual(decodeCallbackData(data), { namespace: 'op', action: 'take', args: ['123456789', 'abc'] });
+    assert.deepEqual(decodeCallbackData(encodeCallbackData('op', 'list')), { namespace: 'op', action: 'list', args: [] });
+  });
+
+  it('rejects a tampered payload', () => {
+    const signature = encodeCallbackData('op', 'take', [111]).split(':')[3];
+
+    assert.equal(decodeCallbackData(`op:take:222:${signature}`), null);
+    assert.equal(decodeCallbackData(`op:return:111:${signature}`), null);
+    assert.equal(decodeCallbackData(`admin:take:111:${signature}`), null);
+  });
+
+  it('rejects a tampered or malformed signature', () => {
+    const data = encodeCallbackData('op', 'take', [111]);
+    const signature = data.split(':')[3];
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+    assert.equal(decodeCallbackData(`op:take:111:${flipped}`), null);
+    assert.equal(decodeCallbackData(`op:take:111:${signature.slice(0, -1)}`), null);
+    assert.equal(decodeCallbackData(`op:take:111:${'é'.repeat(signature.length)}`), null);
+    assert.equal(decodeCallbackData('op:take:111'), null);
+    assert.equal(decodeCallbackData(`${data}:extra`), null);
+    assert.equal(decodeCallbackData(undefined), null);
+  });
+
+  it('stays within the 64 byte limit', () => {
+    const data = encodeCallbackData('op', 'take', [-1001234567890]);
+    assert.ok(Buffer.byteLength(data) <= MAX_CALLBACK_DATA_LENGTH);
+
+    assert.throws(() => encodeCallbackData('op', 'take', ['x'.repeat(60)]), /exceeds 64 bytes/);
+  });
+
+  it('refuses names and arguments that would break the format', () => {
+    assert.throws(() => encodeCallbackData('op:x', 'take'), /Invalid callback namespace/);
+    assert.throws(() => encodeCallbackData('op', 'take', ['a,b']), /must not contain/);
+    assert.throws(() => encodeCallbackData('op', 'take', ['a:b']), /must not contain/);
+  });
+
+  it('derives the secret from the bot token unless one is configured', () => {
+    const derived = encodeCallbackData('op', 'take', [111]);
+
+    // Buttons sent before a token change no longer verify
+    config.telegram.token = '123456:other-token';
+    assert.equal(decodeCallbackData(derived), null);
+
+    config.telegram.callbackSecret = 'configured-secret';
+    const configured = encodeCallbackData('op', 'take', [111]);
+    assert.notEqual(configured, derived);
+
+    // A configured secret does not depend on the token
+    config.telegram.token = '123456:test-token';
+    assert.deepEqual(decodeCallbackData(configured)?.args, ['111']);
+    assert.equal(decodeCallbackData(derived), null);
+
+    config.telegram.callbackSecret = 'rotated-secret';
+    assert.equal(decodeCallbackData(configured), null);
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Environment for tests, import it before any module that reads config
+ */
+
+process.env.NODE_ENV = 'development';
+process.env.TELEGRAM_BOT_TOKEN ||= 'test-token';
+process.env.OPENAI_API_KEY ||= 'test-key';
+process.env.ASSISTANT_ID ||= 'asst_test';
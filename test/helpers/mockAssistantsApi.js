@@ -0,0 +1,152 @@
+/**
+ * In-memory stand-in for the parts of the OpenAI Assistants API the bot uses
+ * Pass it as the client of OpenAIService. Runs follow a script: each queued step either
+ * answers with text or asks for tool calls, and submitted tool outputs are recorded.
+ */
+
+import { EventEmitter } from 'events';
+
+export class MockAssistantsApi {
+  /**
+   * @param {object} assistant - Assistant returned by retrieve, e.g. with existing tools
+   */
+  constructor(assistant = {}) {
+    this.assistant = { id: 'asst_test', tools: [], ...assistant };
+    this.threads = new Map();
+    this.steps = [];
+    this.calls = { assistantUpdates: [], toolOutputs: [] };
+    this.nextId = 1;
+
+    this.beta = {
+      assistants: {
+        retrieve: async (id) => {
+          if (id !== this.assistant.id) {
+            throw new Error(`No assistant found with id '${id}'`);
+          }
+          return structuredClone(this.assistant);
+        },
+        update: async (id, params) => {
+          this.calls.assistantUpdates.push(params);
+          Object.assign(this.assistant, structuredClone(params));
+          return structuredClone(this.assistant);
+        }
+      },
+      threads: {
+        create: async () => {
+          const id = this.id('thread');
+          this.threads.set(id, []);
+          return { id };
+        },
+        messages: {
+          create: async (threadId, { role, content }) => {
+            const message = { id: this.id('msg'), role, content: this.toContent(content) };
+            this.thread(threadId).push(message);
+            return message;
+          },
+          list: async (threadId, { order = 'asc', limit = 20 } = {}) => {
+            const messages = [...this.thread(threadId)];
+            if (order === 'desc') messages.reverse();
+            return { data: messages.slice(0, limit) };
+          }
+        },
+        runs: {
+          createAndPoll: async (threadId) => this.advance(threadId, this.id('run')),
+          submitToolOutputsAndPoll: async (threadId, runId, { tool_outputs: outputs }) => {
+            this.calls.toolOutputs.push(...outputs);
+            return this.advance(threadId, runId);
+          },
+          stream: (threadId) => this.stream(threadId, this.id('run')),
+          submitToolOutputsStream: (threadId, runId, { tool_outputs: outputs }) => {
+            this.calls.toolOutputs.push(...outputs);
+            return this.stream(threadId, runId);
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Queue the assistant's reply to the next run
+   * @param {string} text - Reply text
+   */
+  reply(text) {
+    this.steps.push({ text });
+    return this;
+  }
+
+  /**
+   * Queue tool calls for the next run
+   * @param {Array<{name: string, arguments: object|string}>} calls - Requested calls
+   */
+  callTools(calls) {
+    this.steps.push({
+      toolCalls: calls.map(call => ({
+        id: this.id('call'),
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+        }
+      }))
+    });
+    return this;
+  }
+
+  id(prefix) {
+    return `${prefix}_${this.nextId++}`;
+  }
+
+  thread(threadId) {
+    if (!this.threads.has(threadId)) {
+      throw new Error(`No thread found with id '${threadId}'`);
+    }
+    return this.threads.get(threadId);
+  }
+
+  toContent(content) {
+    return typeof content === 'string'
+      ? [{ type: 'text', text: { value: content } }]
+      : content;
+  }
+
+  /**
+   * Run the next scripted step and return the run it leaves behind
+   */
+  async advance(threadId, runId) {
+    const step = this.steps.shift();
+    if (!step) {
+      return { id: runId, thread_id: threadId, status: 'failed', last_error: { message: 'No scripted step' } };
+    }
+
+    if (step.toolCalls) {
+      return {
+        id: runId,
+        thread_id: threadId,
+        status: 'requires_action',
+        required_action: { type: 'submit_tool_outputs', submit_tool_outputs: { tool_calls: step.toolCalls } }
+      };
+    }
+
+    this.thread(threadId).push({ id: this.id('msg'), role: 'assistant', content: this.toContent(step.text) });
+    return { id: runId, thread_id: threadId, status: 'completed' };
+  }
+
+  /**
+   * Stream a run the way AssistantStream does: textDelta events, then finalRun()
+   */
+  stream(threadId, runId) {
+    const stream = new EventEmitter();
+    const step = this.steps[0];
+    const run = this.advance(threadId, runId);
+
+    stream.finalRun = async () => {
+      // Let the caller subscribe before deltas arrive
+      await new Promise(resolve => setImmediate(resolve));
+      for (const word of step?.text?.split(/(?<= )/) || []) {
+        stream.emit('textDelta', { value: word });
+      }
+      return run;
+    };
+    return stream;
+  }
+}
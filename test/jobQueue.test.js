@@ -0,0 +1,152 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { JobQueue } from '../src/utils/jobQueue.js';
+import { MemoryStorage } from '../src/storage/MemoryStorage.js';
+
+// Let pending storage calls finish, setImmediate is not mocked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 1000000 });
+    queue = new JobQueue(new MemoryStorage(), {
+      name: 'test',
+      visibilityTimeout: 1000,
+      maxAttempts: 3,
+      retryDelay: 100,
+      maxRetryDelay: 250
+    });
+  });
+
+  it('hands out a job once and forgets it after ack', async () => {
+    const id = await queue.enqueue({ update_id: 1 });
+
+    const job = await queue.claim();
+    assert.equal(job.id, id);
+    assert.deepEqual(job.payload, { update_id: 1 });
+    assert.equal(job.attempts, 1);
+    assert.equal(await queue.claim(), null);
+
+    await queue.ack(id);
+    assert.deepEqual(await queue.getStats(), { queued: 0, dead: 0, active: 0 });
+  });
+
+  it('delivers a job again after the visibility timeout', async (t) => {
+    await queue.enqueue({ update_id: 1 });
+    await queue.claim();
+
+    t.mock.timers.tick(999);
+    assert.equal(await queue.claim(), null);
+
+    t.mock.timers.tick(1);
+    const job = await queue.claim();
+    assert.equal(job.attempts, 2);
+  });
+
+  it('keeps an extended job hidden for another visibility timeout', async (t) => {
+    const id = await queue.enqueue({ update_id: 1 });
+    await queue.claim();
+
+    t.mock.timers.tick(800);
+    await queue.extend(id);
+    t.mock.timers.tick(800);
+    assert.equal(await queue.claim(), null);
+
+    t.mock.timers.tick(200);
+    assert.equal((await queue.claim()).id, id);
+  });
+
+  it('retries failed jobs with exponential backoff up to the maximum delay', async (t) => {
+    queue.maxAttempts = 5;
+    await queue.enqueue({ update_id: 1 });
+
+    let job = await queue.claim();
+    for (const delay of [100, 200, 250]) {
+      await queue.fail(job, new Error('boom'));
+
+      t.mock.timers.tick(delay - 1);
+      assert.equal(await queue.claim(), null);
+
+      t.mock.timers.tick(1);
+      job = await queue.claim();
+      assert.equal(job.lastError, 'boom');
+    }
+    assert.equal(job.attempts, 4);
+  });
+
+  it('moves a job to the dead-letter list after its last attempt and can requeue it', async (t) => {
+    const id = await queue.enqueue({ update_id: 1 });
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const job = await queue.claim();
+      assert.equal(queue.isLastAttempt(job), attempt === 3);
+      await queue.fail(job, new Error(`failure ${attempt}`));
+      t.mock.timers.tick(queue.maxRetryDelay);
+    }
+
+    assert.equal(await queue.claim(), null);
+    const [dead] = await queue.getDeadLetters();
+    assert.equal(dead.id, id);
+    assert.equal(dead.lastError, 'failure 3');
+    assert.deepEqual(await queue.getStats(), { queued: 0, dead: 1, active: 0 });
+
+    assert.equal(await queue.requeue(id), true);
+    const job = await queue.claim();
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(await queue.getDeadLetters(), []);
+  });
+
+  it('dead-letters a job whose visibility timeout expired too often', async (t) => {
+    await queue.enqueue({ update_id: 1 });
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      assert.ok(await queue.claim());
+      t.mock.timers.tick(1000);
+    }
+
+    assert.equal(await queue.claim(), null);
+    const [dead] = await queue.getDeadLetters();
+    assert.equal(dead.lastError, 'Visibility timeout expired too many times');
+  });
+
+  describe('runJob', () => {
+    it('extends visibility while the handler runs and acks when it finishes', async (t) => {
+      await queue.enqueue({ update_id: 1 });
+      const job = await queue.claim();
+
+      let finish;
+      const running = queue.runJob(job, () => new Promise(resolve => { finish = resolve; }));
+
+      // Two heartbeats carry the job past its first visibility timeout
+      for (let elapsed = 0; elapsed < 1500; elapsed += 500) {
+        t.mock.timers.tick(500);
+        await flush();
+      }
+      assert.equal(await queue.claim(), null);
+
+      finish();
+      await running;
+      assert.deepEqual(await queue.getStats(), { queued: 0, dead: 0, active: 0 });
+
+      // No heartbeat puts the job back after ack
+      t.mock.timers.tick(5000);
+      await flush();
+      assert.equal(await queue.claim(), null);
+    });
+
+    it('schedules a retry when the handler throws', async (t) => {
+      await queue.enqueue({ update_id: 1 });
+      const job = await queue.claim();
+
+      await queue.runJob(job, async () => { throw new Error('handler failed'); });
+
+      t.mock.timers.tick(100);
+      const retried = await queue.claim();
+      assert.equal(retried.attempts, 2);
+      assert.equal(retried.lastError, 'handler failed');
+    });
+  });
+});
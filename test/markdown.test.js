@@ -0,0 +1,78 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { markdownToTelegramHtml } from '../src/utils/markdown.js';
+
+describe('markdownToTelegramHtml', () => {
+  describe('links', () => {
+    it('renders links', () => {
+      assert.equal(markdownToTelegramHtml('[docs](https://example.com/docs)'), '<a href="https://example.com/docs">docs</a>');
+    });
+
+    it('leaves emphasis markers in the URL alone', () => {
+      assert.equal(
+        markdownToTelegramHtml('[x](https://example.com/__init__) and [y](https://example.com/_foo_)'),
+        '<a href="https://example.com/__init__">x</a> and <a href="https://example.com/_foo_">y</a>'
+      );
+      assert.equal(markdownToTelegramHtml('**[bold](https://example.com/*x*)**'), '<b><a href="https://example.com/*x*">bold</a></b>');
+    });
+
+    it('formats the label', () => {
+      assert.equal(markdownToTelegramHtml('[**b** _i_](https://example.com)'), '<a href="https://example.com"><b>b</b> <i>i</i></a>');
+    });
+
+    it('escapes the URL for the attribute', () => {
+      assert.equal(
+        markdownToTelegramHtml('[q](https://example.com/?x=1&y="2")'),
+        '<a href="https://example.com/?x=1&amp;y=&quot;2&quot;">q</a>'
+      );
+    });
+
+    it('does not link other schemes', () => {
+      assert.equal(markdownToTelegramHtml('[x](javascript:alert)'), '[x](javascript:alert)');
+    });
+  });
+
+  describe('emphasis', () => {
+    it('renders bold, italic and strikethrough', () => {
+      assert.equal(markdownToTelegramHtml('**b** __b__ *i* _i_ ~~s~~'), '<b>b</b> <b>b</b> <i>i</i> <i>i</i> <s>s</s>');
+    });
+
+    it('nests emphasis', () => {
+      assert.equal(markdownToTelegramHtml('**bold _and italic_**'), '<b>bold <i>and italic</i></b>');
+    });
+
+    it('ignores markers inside words and between spaces', () => {
+      assert.equal(markdownToTelegramHtml('snake_case_name'), 'snake_case_name');
+      assert.equal(markdownToTelegramHtml('2 * 3 * 4'), '2 * 3 * 4');
+    });
+  });
+
+  describe('code', () => {
+    it('escapes code spans and leaves their markers alone', () => {
+      assert.equal(markdownToTelegramHtml('`a < b` and `__x__`'), '<code>a &lt; b</code> and <code>__x__</code>');
+    });
+
+    it('renders fenced blocks with their language', () => {
+      assert.equal(
+        markdownToTelegramHtml('```js\nif (a && *b*) {}\n```'),
+        '<pre><code class="language-js">if (a &amp;&amp; *b*) {}</code></pre>'
+      );
+    });
+  });
+
+  describe('blocks', () => {
+    it('renders headings, bullets and quotes', () => {
+      assert.equal(markdownToTelegramHtml('# Title\n- item\n> quoted *text*'), '<b>Title</b>\n• item\n<blockquote>quoted <i>text</i></blockquote>');
+    });
+  });
+
+  describe('escaping', () => {
+    it('escapes HTML in text', () => {
+      assert.equal(markdownToTelegramHtml('1 < 2 & <b>3</b> > 2'), '1 &lt; 2 &amp; &lt;b&gt;3&lt;/b&gt; &gt; 2');
+    });
+
+    it('drops file search citations', () => {
+      assert.equal(markdownToTelegramHtml('see【4:0†source】 here'), 'see here');
+    });
+  });
+});
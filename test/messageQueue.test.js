@@ -0,0 +1,170 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { describe, it, mock } from 'node:test';
+import { MessageQueue } from '../src/utils/messageQueue.js';
+
+const message = (chatId, text, fromId = 1) => ({ chat: { id: chatId }, from: { id: fromId }, text });
+
+/**
+ * Promise that is resolved from outside
+ */
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+};
+
+describe('MessageQueue', () => {
+  it('processes the messages of a chat in order, one at a time', async () => {
+    const queue = new MessageQueue();
+    const events = [];
+    const processor = async ({ text }) => {
+      events.push(`start ${text}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      events.push(`end ${text}`);
+      return text;
+    };
+
+    const results = await Promise.all(['a1', 'a2', 'a3'].map(text => queue.add(message(1, text), processor)));
+
+    assert.deepEqual(results, ['a1', 'a2', 'a3']);
+    assert.deepEqual(events, ['start a1', 'end a1', 'start a2', 'end a2', 'start a3', 'end a3']);
+  });
+
+  it('processes different chats in parallel', async () => {
+    const queue = new MessageQueue();
+    const gate = deferred();
+    const events = [];
+
+    const first = queue.add(message(1, 'a'), async () => {
+      events.push('start a');
+      await gate.promise;
+      events.push('end a');
+    });
+    const second = queue.add(message(2, 'b'), async () => {
+      events.push('b');
+      gate.resolve();
+    });
+
+    await Promise.all([first, second]);
+    assert.deepEqual(events, ['start a', 'b', 'end a']);
+  });
+
+  it('limits how many chats are processed at once', async () => {
+    const queue = new MessageQueue(1);
+    const gate = deferred();
+    const started = [];
+
+    const first = queue.add(message(1, 'a'), async () => { started.push('a'); await gate.promise; });
+    const second = queue.add(message(2, 'b'), async () => { started.push('b'); });
+
+    assert.deepEqual(started, ['a']);
+    assert.equal(queue.getPendingCount(), 1);
+    gate.resolve();
+    await Promise.all([first, second]);
+    assert.deepEqual(started, ['a', 'b']);
+  });
+
+  it('keeps processing a chat after a message fails', async () => {
+    const queue = new MessageQueue();
+
+    const failed = queue.add(message(1, 'a'), async () => { throw new Error('boom'); });
+    const next = queue.add(message(1, 'b'), async ({ text }) => text);
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'b');
+  });
+
+  describe('waitForQuiet', () => {
+    it('waits until no message arrived for the window', async (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+      const queue = new MessageQueue();
+      const gate = deferred();
+      queue.add(message(1, 'a'), () => gate.promise);
+
+      let quiet = false;
+      const waiting = queue.waitForQuiet(1, 100).then(() => { quiet = true; });
+
+      t.mock.timers.tick(60);
+      queue.add(message(1, 'b'), async () => {});
+      t.mock.timers.tick(60);
+      await Promise.resolve();
+      assert.equal(quiet, false);
+
+      // The follow-up restarted the window
+      t.mock.timers.tick(40);
+      await waiting;
+      assert.equal(quiet, true);
+      gate.resolve();
+    });
+
+    it('gives up after maxWait', async (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+      const queue = new MessageQueue();
+      const gate = deferred();
+      queue.add(message(1, 'a'), () => gate.promise);
+
+      let quiet = false;
+      const waiting = queue.waitForQuiet(1, 100, 150).then(() => { quiet = true; });
+
+      for (let elapsed = 0; elapsed < 150; elapsed += 50) {
+        queue.add(message(1, `more ${elapsed}`), async () => {});
+        t.mock.timers.tick(50);
+        await Promise.resolve();
+      }
+
+      await waiting;
+      assert.equal(quiet, true);
+      gate.resolve();
+    });
+  });
+
+  describe('take', () => {
+    it('takes matching messages from the head of the chat queue as followers', async () => {
+      const queue = new MessageQueue();
+      const gate = deferred();
+      const processed = [];
+      let taken;
+
+      const first = queue.add(message(1, 'a'), async ({ text }) => {
+        await gate.promise;
+        taken = queue.take(1, (next) => next.from.id === 1);
+        processed.push(text, ...taken.map(({ text }) => text));
+        return 'reply';
+      });
+      const processor = async ({ text }) => { processed.push(text); return text; };
+      const second = queue.add(message(1, 'b'), processor);
+      const third = queue.add(message(1, 'c'), processor);
+      const other = queue.add(message(1, 'd', 2), processor);
+      const fifth = queue.add(message(1, 'e'), processor);
+
+      gate.resolve();
+
+      // Followers settle with the message that took them
+      assert.deepEqual(await Promise.all([first, second, third]), ['reply', null, null]);
+      assert.deepEqual(taken.map(({ text }) => text), ['b', 'c']);
+
+      // Taking stops at the first message that does not match
+      assert.deepEqual(await Promise.all([other, fifth]), ['d', 'e']);
+      assert.deepEqual(processed, ['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('rejects followers when the message that took them fails', async () => {
+      const queue = new MessageQueue();
+      const gate = deferred();
+
+      const first = queue.add(message(1, 'a'), async () => {
+        await gate.promise;
+        queue.take(1, () => true);
+        throw new Error('run failed');
+      });
+      const follower = queue.add(message(1, 'b'), mock.fn());
+
+      gate.resolve();
+
+      await assert.rejects(first, /run failed/);
+      await assert.rejects(follower, /run failed/);
+      assert.equal(queue.getChatDepth(1), 0);
+    });
+  });
+});
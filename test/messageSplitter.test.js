@@ -0,0 +1,66 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { splitMessage } from '../src/utils/messageSplitter.js';
+
+/**
+ * Assert no chunk starts or ends in the middle of a tag or an entity
+ */
+const assertWellFormed = (chunks) => {
+  for (const chunk of chunks) {
+    assert.doesNotMatch(chunk, /<[^>]*$/, `chunk ends inside a tag: ${chunk}`);
+    assert.doesNotMatch(chunk, /^[^<]*>/, `chunk starts inside a tag: ${chunk}`);
+    assert.doesNotMatch(chunk, /&[a-z0-9#]*$/i, `chunk ends inside an entity: ${chunk}`);
+  }
+};
+
+// Text without tags and whitespace, which chunk boundaries may drop
+const stripTags = (html) => html.replace(/<[^>]*>/g, '').replace(/\s+/g, '');
+
+describe('splitMessage', () => {
+  it('returns short text unchanged', () => {
+    assert.deepEqual(splitMessage('Hello'), ['Hello']);
+  });
+
+  it('prefers paragraph boundaries', () => {
+    const first = 'a'.repeat(60);
+    const second = 'b'.repeat(60);
+    assert.deepEqual(splitMessage(`${first}\n\n${second}`, { maxLength: 100 }), [first, second]);
+  });
+
+  it('does not cut inside a link near the limit', () => {
+    // The space in "<a href" falls just before the limit
+    const text = `${'word '.repeat(18)}<a href="https://example.com/offer">the offer</a> ends today`;
+
+    const chunks = splitMessage(text, { maxLength: 100 });
+
+    assert.equal(chunks.length, 2);
+    assertWellFormed(chunks);
+    assert.ok(chunks[1].startsWith('<a href="https://example.com/offer">'));
+  });
+
+  it('keeps tags and entities intact at every length', () => {
+    const text = [
+      'Prices for <b>Q&amp;A sessions</b> are listed below. See <a href="https://example.com/a b">the price list</a>.',
+      'Call us at <code>+1 555 0100</code> &mdash; we answer <i>every day. Even on weekends</i>!',
+      '<a href="https://example.com/terms">Terms. Conditions apply</a> &lt;see website&gt;.'
+    ].join('\n');
+
+    // Long enough for a chunk holding only a reopened link
+    for (let maxLength = 60; maxLength <= text.length; maxLength++) {
+      const chunks = splitMessage(text, { maxLength });
+
+      assertWellFormed(chunks);
+      assert.ok(chunks.every(chunk => chunk.length <= maxLength), `chunk too long at ${maxLength}`);
+      assert.equal(stripTags(chunks.join('')), stripTags(text), `text lost at ${maxLength}`);
+    }
+  });
+
+  it('reopens tags in the next chunk', () => {
+    const text = `<b>${'bold words '.repeat(15)}</b>`;
+
+    const chunks = splitMessage(text, { maxLength: 100 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.startsWith('<b>') && chunk.endsWith('</b>')));
+  });
+});
@@ -0,0 +1,137 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { OpenAIService } from '../src/services/openaiService.js';
+import { ToolRegistry } from '../src/tools/ToolRegistry.js';
+import { MockAssistantsApi } from './helpers/mockAssistantsApi.js';
+
+const lookupOrder = {
+  name: 'lookup_order',
+  description: 'Look up an order by its number',
+  parameters: {
+    type: 'object',
+    properties: { orderId: { type: 'string' } },
+    required: ['orderId']
+  },
+  handler: async ({ orderId }, context) => ({ orderId, status: 'shipped', chatId: context.chatId })
+};
+
+const functionOf = ({ name, description, parameters }) => ({ name, description, parameters });
+
+function createService({ assistant, tools = [lookupOrder], timeout } = {}) {
+  const client = new MockAssistantsApi(assistant);
+  const registry = new ToolRegistry({ defaultTimeout: timeout || 1000 });
+  tools.forEach(tool => registry.register(tool));
+  const service = new OpenAIService({ client, assistantId: 'asst_test', tools: registry });
+  return { client, service };
+}
+
+describe('OpenAIService', () => {
+  describe('ensureAssistantTools', () => {
+    it('adds registered tools and keeps the assistant\'s other tools', async () => {
+      const { client, service } = createService({ assistant: { tools: [{ type: 'file_search' }] } });
+
+      await service.createOrGetAssistant();
+
+      assert.equal(client.calls.assistantUpdates.length, 1);
+      assert.deepEqual(client.assistant.tools.map(tool => tool.type), ['file_search', 'function']);
+      assert.equal(client.assistant.tools[1].function.name, 'lookup_order');
+    });
+
+    it('does not update an assistant whose tools differ only in key order', async () => {
+      // The API returns its own key order and adds fields such as strict
+      const reordered = {
+        parameters: { required: ['orderId'], properties: { orderId: { type: 'string' } }, type: 'object' },
+        description: lookupOrder.description,
+        name: lookupOrder.name,
+        strict: false
+      };
+      const { client, service } = createService({ assistant: { tools: [{ type: 'function', function: reordered }] } });
+
+      await service.createOrGetAssistant();
+
+      assert.equal(client.calls.assistantUpdates.length, 0);
+    });
+
+    it('updates the assistant when a tool schema changed', async () => {
+      const outdated = { ...lookupOrder, parameters: { type: 'object', properties: {} } };
+      const { client, service } = createService({
+        assistant: { tools: [{ type: 'function', function: functionOf(outdated) }] }
+      });
+
+      await service.createOrGetAssistant();
+
+      assert.equal(client.calls.assistantUpdates.length, 1);
+      assert.deepEqual(client.assistant.tools[0].function.parameters, lookupOrder.parameters);
+    });
+  });
+
+  describe('runAssistantAndGetResponse', () => {
+    it('returns the assistant reply', async () => {
+      const { client, service } = createService();
+      client.reply('Hello!');
+      const threadId = await service.createThread();
+      await service.addMessageToThread(threadId, 'Hi');
+
+      assert.equal(await service.runAssistantAndGetResponse(threadId), 'Hello!');
+    });
+
+    it('serves tool calls from the registry and submits their outputs', async () => {
+      const { client, service } = createService();
+      client.callTools([{ name: 'lookup_order', arguments: { orderId: 'A-1' } }]).reply('Your order has shipped.');
+      const threadId = await service.createThread();
+      const context = { chatId: 42 };
+
+      const response = await service.runAssistantAndGetResponse(threadId, { context });
+
+      assert.equal(response, 'Your order has shipped.');
+      assert.ok(context.runId);
+      assert.deepEqual(JSON.parse(client.calls.toolOutputs[0].output), { orderId: 'A-1', status: 'shipped', chatId: 42 });
+    });
+
+    it('reports invalid arguments, unknown tools and timeouts to the run', async () => {
+      const slow = { name: 'slow', handler: () => new Promise(resolve => setTimeout(resolve, 200)) };
+      const { client, service } = createService({ tools: [lookupOrder, slow], timeout: 20 });
+      client
+        .callTools([
+          { name: 'lookup_order', arguments: { orderId: 1 } },
+          { name: 'missing', arguments: {} },
+          { name: 'slow', arguments: {} },
+          { name: 'lookup_order', arguments: '{not json' }
+        ])
+        .reply('Sorry, something went wrong.');
+      const threadId = await service.createThread();
+
+      assert.equal(await service.runAssistantAndGetResponse(threadId), 'Sorry, something went wrong.');
+
+      const errors = client.calls.toolOutputs.map(output => JSON.parse(output.output).error);
+      assert.match(errors[0], /Invalid arguments/);
+      assert.match(errors[1], /Unknown tool/);
+      assert.match(errors[2], /timed out/);
+      assert.match(errors[3], /not valid JSON/);
+    });
+
+    it('returns null when the run fails', async () => {
+      const { service } = createService();
+      const threadId = await service.createThread();
+
+      assert.equal(await service.runAssistantAndGetResponse(threadId), null);
+    });
+  });
+
+  describe('streamAssistantResponse', () => {
+    it('reports text as it arrives and continues after tool calls', async () => {
+      const { client, service } = createService();
+      client.callTools([{ name: 'lookup_order', arguments: { orderId: 'A-1' } }]).reply('Your order has shipped.');
+      const threadId = await service.createThread();
+      const updates = [];
+
+      const response = await service.streamAssistantResponse(threadId, { onText: text => updates.push(text) });
+
+      assert.equal(response, 'Your order has shipped.');
+      assert.equal(updates.at(-1), response);
+      assert.ok(updates.length > 1);
+      assert.equal(client.calls.toolOutputs.length, 1);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import pg from 'pg';
+import { after, before, describe, it } from 'node:test';
+import { createRepository, REPOSITORY_METHODS } from '../src/db/repository.js';
+import { MigrationRunner } from '../src/db/MigrationRunner.js';
+
+const scratch = mkdtempSync(path.join(tmpdir(), 'repository-'));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+/**
+ * Apply the pending Postgres migrations, the repository needs the current tables
+ * @param {string} url - Postgres connection URL
+ */
+const migrate = async (url) => {
+  const client = new pg.Client({ connectionString: url });
+  await client.connect();
+  try {
+    await new MigrationRunner(client).up();
+  } finally {
+    await client.end();
+  }
+};
+
+// The same checks run against every driver. SQLite uses a scratch file, Postgres and Supabase
+// only run when their database is configured and leave the rows of a random test chat behind
+const drivers = [
+  ['sqlite', {}],
+  ['postgres', { skip: process.env.DATABASE_URL ? false : 'DATABASE_URL is not set' }],
+  ['supabase', { skip: process.env.SUPABASE_URL && process.env.SUPABASE_KEY ? false : 'SUPABASE_URL and SUPABASE_KEY are not set' }]
+];
+
+for (const [driver, options] of drivers) {
+  describe(`${driver} repository`, options, () => {
+    // Far above real Telegram IDs, so the tests never touch real chats
+    const chatId = 9_000_000_000_000 + crypto.randomInt(1_000_000_000);
+    const payload = `check_${chatId}`;
+    const instanceId = crypto.randomUUID();
+    const hostname = `check-${instanceId}`;
+    let repository;
+
+    before(async () => {
+      if (driver === 'postgres') {
+        await migrate(process.env.DATABASE_URL);
+      }
+
+      repository = createRepository({
+        driver,
+        url: process.env.DATABASE_URL,
+        poolSize: 1,
+        supabase: { url: process.env.SUPABASE_URL, key: process.env.SUPABASE_KEY },
+        sqlite: { path: path.join(scratch, 'repository.db') }
+      });
+    });
+
+    after(async () => {
+      await repository?.deleteSession(chatId);
+      await repository?.deleteInstance(instanceId);
+      await repository?.close();
+    });
+
+    it('implements every method', () => {
+      const missing = REPOSITORY_METHODS.filter(method => typeof repository[method] !== 'function');
+      assert.deepEqual(missing, []);
+    });
+
+    it('ping', async () => {
+      await repository.ping();
+    });
+
+    it('getSession returns null for unknown chats', async () => {
+      assert.equal(await repository.getSession(chatId), null);
+    });
+
+    it('upsertSession creates and updates a session', async () => {
+      await repository.upsertSession({ chat_id: chatId, thread_id: 'thread_a', human_handoff: false });
+      await repository.upsertSession({
+        chat_id: chatId,
+        thread_id: 'thread_b',
+        human_handoff: false,
+        updated_at: new Date().toISOString()
+      });
+
+      const session = await repository.getSession(chatId);
+      assert.equal(session.chat_id, chatId);
+      assert.equal(session.thread_id, 'thread_b');
+      assert.equal(session.human_handoff, false);
+      assert.equal(typeof session.updated_at, 'string');
+    });
+
+    it('updateSession changes only the given fields', async () => {
+      await repository.updateSession(chatId, { human_handoff: true, start_payload: payload });
+
+      const session = await repository.getSession(chatId);
+      assert.equal(session.human_handoff, true);
+      assert.equal(session.start_payload, payload);
+      assert.equal(session.thread_id, 'thread_b');
+    });
+
+    it('upsertSession clears fields set to null', async () => {
+      await repository.upsertSession({ chat_id: chatId, thread_id: 'thread_b', human_handoff: true, start_payload: null });
+      assert.equal((await repository.getSession(chatId)).start_payload, null);
+      await repository.updateSession(chatId, { start_payload: payload });
+    });
+
+    it('getSessions includes the session', async () => {
+      const sessions = await repository.getSessions();
+      assert.ok(sessions.some(session => session.chat_id === chatId));
+    });
+
+    it('insertArchivedThread', async () => {
+      await repository.insertArchivedThread({
+        chat_id: chatId,
+        thread_id: 'thread_a',
+        reason: 'reset',
+        started_at: new Date().toISOString()
+      });
+    });
+
+    it('getMessages returns the latest messages oldest first', async () => {
+      await repository.insertMessage({ chat_id: chatId, role: 'user', content: 'first' });
+      await repository.insertMessage({
+        chat_id: chatId,
+        role: 'assistant',
+        content: 'second',
+        thread_id: 'thread_b',
+        run_id: 'run_1',
+        telegram_message_ids: [101, 102],
+        latency_ms: 1500
+      });
+      await repository.insertMessage({ chat_id: chatId, role: 'operator', content: 'third', operator_id: 42 });
+
+      const messages = await repository.getMessages(chatId, 2);
+      assert.deepEqual(messages.map(message => message.content), ['second', 'third']);
+      assert.equal(messages[0].chat_id, chatId);
+      assert.deepEqual(messages[0].telegram_message_ids, [101, 102]);
+      assert.equal(messages[0].run_id, 'run_1');
+      assert.equal(messages[0].latency_ms, 1500);
+      assert.equal(messages[1].operator_id, 42);
+      assert.equal(messages[1].telegram_message_ids, null);
+    });
+
+    it('insertDocument returns the created row', async () => {
+      const document = await repository.insertDocument({
+        chat_id: chatId,
+        thread_id: 'thread_b',
+        message_id: 7,
+        kind: 'document',
+        file_name: 'contract.pdf',
+        mime_type: 'application/pdf',
+        size: 1024,
+        storage: 'local',
+        storage_key: `${chatId}/7_contract.pdf`
+      });
+      assert.ok(document.id);
+      assert.equal(document.chat_id, chatId);
+      assert.equal(typeof document.created_at, 'string');
+
+      const documents = await repository.getDocuments(chatId, 20);
+      assert.deepEqual(documents.map(row => row.id), [document.id]);
+    });
+
+    it('getOperator returns null for unknown operators', async () => {
+      assert.equal(await repository.getOperator(chatId), null);
+    });
+
+    it('insertToolCall stores any JSON', async () => {
+      await repository.insertToolCall({
+        chat_id: chatId,
+        thread_id: 'thread_b',
+        run_id: 'run_1',
+        tool_name: 'check',
+        arguments: { items: [1, 2] },
+        output: 'plain string',
+        status: 'success',
+        duration_ms: 12
+      });
+    });
+
+    it('getCampaign returns null for unmapped payloads', async () => {
+      assert.equal(await repository.getCampaign(payload), null);
+    });
+
+    it('markCampaignSession marks the latest session once', async () => {
+      await repository.insertCampaignSession({ chat_id: chatId, thread_id: 'thread_b', payload, campaign: payload });
+
+      assert.equal(await repository.markCampaignSession(chatId, 'transferred'), true);
+      assert.equal(await repository.markCampaignSession(chatId, 'transferred'), false);
+
+      const report = await repository.getCampaignReport();
+      const row = report.find(entry => entry.campaign === payload);
+      assert.equal(row.sessions, 1);
+      assert.equal(row.transfers, 1);
+      assert.equal(row.conversions, 0);
+    });
+
+    it('instances register, heartbeat and unregister', async () => {
+      const longAgo = new Date(Date.now() - 60_000).toISOString();
+      await repository.insertInstance({
+        instance_id: instanceId,
+        hostname,
+        last_heartbeat: longAgo,
+        started_at: longAgo
+      });
+      await repository.touchInstance(instanceId);
+      await repository.deleteStaleInstances(new Date(Date.now() - 30_000));
+
+      const instance = (await repository.getInstances()).find(row => row.instance_id === instanceId);
+      assert.ok(instance, 'a fresh heartbeat keeps the instance');
+      assert.ok(new Date(instance.last_heartbeat) > new Date(longAgo));
+
+      await repository.deleteInstance(instanceId);
+      assert.ok(!(await repository.getInstances()).some(row => row.instance_id === instanceId));
+    });
+
+    it('deleteHostInstances removes instances of a host', async () => {
+      await repository.insertInstance({
+        instance_id: instanceId,
+        hostname,
+        last_heartbeat: new Date().toISOString(),
+        started_at: new Date().toISOString()
+      });
+      await repository.deleteHostInstances(hostname);
+      assert.ok(!(await repository.getInstances()).some(row => row.hostname === hostname));
+    });
+
+    it('getLogs filters by level, newest first', async () => {
+      await repository.insertLog({ level: 'warn', message: `${payload} warn`, metadata: { chatId } });
+      await repository.insertLog({
+        level: 'error',
+        message: `${payload} error`,
+        error_message: 'boom',
+        metadata: { chatId, nested: { ok: true } }
+      });
+
+      const [latest] = await repository.getLogs({ limit: 1 });
+      assert.equal(latest.message, `${payload} error`);
+
+      const errors = await repository.getLogs({ level: 'error', limit: 10 });
+      const entry = errors.find(row => row.message === `${payload} error`);
+      assert.equal(entry.error_message, 'boom');
+      assert.deepEqual(entry.metadata, { chatId, nested: { ok: true } });
+      assert.ok(errors.every(row => row.level === 'error'));
+    });
+
+    it('deleteSession removes the session', async () => {
+      await repository.deleteSession(chatId);
+      assert.equal(await repository.getSession(chatId), null);
+    });
+  });
+}
@@ -0,0 +1,156 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { SendScheduler } from '../src/utils/sendScheduler.js';
+
+const START = 1000000;
+
+// Let pending requests continue, setImmediate is not mocked
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const rateLimited = (retryAfter) => Object.assign(new Error('ETELEGRAM: 429 Too Many Requests'), {
+  response: { statusCode: 429, body: { parameters: { retry_after: retryAfter } } }
+});
+
+/**
+ * Bot whose _request records the time of each call and fails with the queued errors
+ */
+const createBot = () => {
+  const bot = {
+    calls: [],
+    failures: [],
+    async _request(path, options) {
+      bot.calls.push({ path, chatId: options.form?.chat_id ?? options.qs?.chat_id, at: Date.now() - START });
+      const failure = bot.failures.shift();
+      if (failure) throw failure;
+      return { ok: true };
+    }
+  };
+  return bot;
+};
+
+describe('SendScheduler', () => {
+  let bot;
+  let advance;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    // Move the clock a millisecond at a time, letting the requests that became due run,
+    // including the ones that only wait for a zero delay
+    advance = async (ms) => {
+      for (let elapsed = 0; elapsed <= ms; elapsed++) {
+        for (let round = 0; round < 5; round++) {
+          t.mock.timers.tick(0);
+          await flush();
+        }
+        if (elapsed < ms) {
+          t.mock.timers.tick(1);
+        }
+      }
+    };
+    bot = createBot();
+  });
+
+  const attach = (limits) => {
+    new SendScheduler(limits).attach(bot);
+    return (path, chatId, options = {}) => bot._request(path, { form: { chat_id: chatId }, ...options });
+  };
+
+  it('spaces sends to one private chat', async () => {
+    const send = attach({ privatePerSecond: 1 });
+
+    const sends = [send('sendMessage', 1), send('sendMessage', 1), send('editMessageText', 1)];
+    await advance(2000);
+    await Promise.all(sends);
+
+    assert.deepEqual(bot.calls.map(({ at }) => at), [0, 1000, 2000]);
+  });
+
+  it('spaces sends to one group by the per-minute limit', async () => {
+    const send = attach({ groupPerMinute: 20 });
+
+    const sends = [send('sendMessage', -100), send('sendMessage', -100)];
+    await advance(3000);
+    await Promise.all(sends);
+
+    assert.deepEqual(bot.calls.map(({ at }) => at), [0, 3000]);
+  });
+
+  it('spaces sends across chats by the global limit', async () => {
+    const send = attach({ globalPerSecond: 2 });
+
+    const sends = [send('sendMessage', 1), send('sendMessage', 2), send('sendMessage', 3)];
+    await advance(1000);
+    await Promise.all(sends);
+
+    assert.deepEqual(bot.calls.map(({ chatId, at }) => [chatId, at]), [[1, 0], [2, 500], [3, 1000]]);
+  });
+
+  it('retries a 429 after retry_after and holds back the chat meanwhile', async () => {
+    const send = attach({ privatePerSecond: 10 });
+    bot.failures.push(rateLimited(2));
+
+    const first = send('sendMessage', 1);
+    await advance(100);
+    const second = send('sendMessage', 1);
+    await advance(2500);
+    await Promise.all([first, second]);
+
+    const times = bot.calls.map(({ at }) => at);
+    assert.equal(times[0], 0);
+    assert.equal(times[1], 2000);
+    assert.ok(times[2] >= 2000, `second send at ${times[2]}`);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const send = attach({ maxRetries: 1 });
+    bot.failures.push(rateLimited(1), rateLimited(1));
+
+    const result = send('sendMessage', 1).catch(error => error);
+    await advance(3000);
+
+    assert.equal((await result).response.statusCode, 429);
+    assert.equal(bot.calls.length, 2);
+  });
+
+  it('does not retry uploads', async () => {
+    const send = attach();
+    bot.failures.push(rateLimited(1));
+
+    const result = send('sendDocument', 1, { formData: { document: 'stream' } }).catch(error => error);
+    await advance(10);
+
+    assert.equal((await result).response.statusCode, 429);
+    assert.equal(bot.calls.length, 1);
+  });
+
+  it('does not throttle chat actions or requests without a chat', async () => {
+    const send = attach({ privatePerSecond: 1 });
+
+    const message = send('sendMessage', 1);
+    const followUp = send('sendMessage', 1);
+    const typing = send('sendChatAction', 1);
+    const me = bot._request('getMe', {});
+    await advance(10);
+
+    assert.deepEqual(bot.calls.map(({ path, at }) => [path, at]).sort(), [['getMe', 0], ['sendChatAction', 0], ['sendMessage', 0]]);
+
+    await advance(1000);
+    await Promise.all([message, followUp, typing, me]);
+    assert.deepEqual(bot.calls.at(-1), { path: 'sendMessage', chatId: 1, at: 1000 });
+  });
+
+  it('holds chat actions back while the chat is paused by a 429', async () => {
+    const send = attach();
+    bot.failures.push(rateLimited(3));
+
+    const message = send('sendMessage', 1);
+    await advance(10);
+    const typing = send('sendChatAction', 1);
+    await advance(3000);
+    await Promise.all([message, typing]);
+
+    const typingCall = bot.calls.find(({ path }) => path === 'sendChatAction');
+    assert.ok(typingCall.at >= 3000, `chat action at ${typingCall.at}`);
+  });
+});
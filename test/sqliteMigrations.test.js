@@ -0,0 +1,99 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { after, describe, it } from 'node:test';
+import { logger } from '../src/utils/logger.js';
+import { openDatabase } from '../src/db/sqlite/openDatabase.js';
+import { migrateSqlite } from '../src/db/sqlite/migrate.js';
+import { SqliteRepository } from '../src/db/SqliteRepository.js';
+
+const scratch = mkdtempSync(path.join(tmpdir(), 'sqlite-migrations-'));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+const columnsOf = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(({ name }) => name);
+
+/**
+ * Write migration files into a fresh directory
+ * @param {string} name - Directory name below the scratch directory
+ * @param {object} files - SQL by file name
+ * @returns {string} - Directory
+ */
+const writeMigrations = (name, files) => {
+  const directory = path.join(scratch, name);
+  mkdirSync(directory);
+  for (const [file, sql] of Object.entries(files)) {
+    writeFileSync(path.join(directory, file), sql);
+  }
+  return directory;
+};
+
+describe('migrateSqlite', () => {
+  it('adds new columns to a file created before migrations were versioned', () => {
+    // A file from the release that ran the repository schema on every start
+    const db = openDatabase(path.join(scratch, 'existing.db'));
+    db.exec('CREATE TABLE sessions (id TEXT PRIMARY KEY, chat_id INTEGER UNIQUE NOT NULL, thread_id TEXT NOT NULL)');
+    db.prepare("INSERT INTO sessions (id, chat_id, thread_id) VALUES ('s1', 1, 'thread_1')").run();
+
+    const directory = writeMigrations('existing', {
+      '0001_initial_schema.sql': 'CREATE TABLE IF NOT EXISTS sessions (id TEXT PRIMARY KEY);',
+      '0002_session_language.sql': 'ALTER TABLE sessions ADD COLUMN language TEXT;'
+    });
+
+    assert.deepEqual(migrateSqlite(db, 'repository', { directory }), ['0001', '0002']);
+    assert.ok(columnsOf(db, 'sessions').includes('language'));
+    assert.equal(db.prepare('SELECT thread_id FROM sessions WHERE chat_id = 1').get().thread_id, 'thread_1');
+
+    // Nothing is pending on the next start
+    assert.deepEqual(migrateSqlite(db, 'repository', { directory }), []);
+    db.close();
+  });
+
+  it('records versions per schema, so repository and storage can share a file', () => {
+    const filename = path.join(scratch, 'shared.db');
+    const db = openDatabase(filename);
+
+    assert.deepEqual(migrateSqlite(db, 'storage'), ['0001']);
+    const repository = new SqliteRepository({ path: filename });
+
+    const rows = db.prepare('SELECT schema, version FROM schema_migrations ORDER BY schema').all();
+    assert.deepEqual(rows, [{ schema: 'repository', version: '0001' }, { schema: 'storage', version: '0001' }]);
+    assert.ok(columnsOf(db, 'sessions').includes('start_payload'));
+    assert.ok(columnsOf(db, 'kv_store').includes('expires_at'));
+
+    repository.db.close();
+    db.close();
+  });
+
+  it('warns about an applied migration whose file was edited', (t) => {
+    const db = openDatabase(':memory:');
+    const directory = writeMigrations('edited', {
+      '0001_notes.sql': 'CREATE TABLE notes (id TEXT PRIMARY KEY);'
+    });
+    migrateSqlite(db, 'edited', { directory });
+
+    writeFileSync(path.join(directory, '0001_notes.sql'), 'CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT);');
+    const warn = t.mock.method(logger, 'warn', () => {});
+
+    assert.deepEqual(migrateSqlite(db, 'edited', { directory }), []);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.deepEqual(warn.mock.calls[0].arguments, [
+      'SQLite migration file changed since it was applied',
+      { migration: 'edited/0001_notes' }
+    ]);
+    db.close();
+  });
+
+  it('rolls back a failing migration and leaves it pending', () => {
+    const db = openDatabase(':memory:');
+    const directory = writeMigrations('failing', {
+      '0001_broken.sql': 'CREATE TABLE broken (id TEXT); ALTER TABLE missing ADD COLUMN x TEXT;'
+    });
+
+    assert.throws(() => migrateSqlite(db, 'failing', { directory }), /SQLite migration failing\/0001_broken failed/);
+    assert.deepEqual(columnsOf(db, 'broken'), []);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM schema_migrations').get().count, 0);
+    db.close();
+  });
+});
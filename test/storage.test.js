@@ -0,0 +1,200 @@
+import './helpers/env.js';
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { createStorage, STORAGE_METHODS } from '../src/storage/index.js';
+
+const scratch = mkdtempSync(path.join(tmpdir(), 'storage-'));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The same checks run against every adapter, Redis only when REDIS_URL is set
+const drivers = [
+  ['memory', {}],
+  ['sqlite', {}],
+  ['redis', { skip: process.env.REDIS_URL ? false : 'REDIS_URL is not set' }]
+];
+
+for (const [driver, options] of drivers) {
+  describe(`${driver} storage`, options, () => {
+    const prefix = `check:${crypto.randomUUID()}:`;
+    const key = (name) => `${prefix}${name}`;
+    let storage;
+
+    before(() => {
+      storage = createStorage({
+        driver,
+        redis: { url: process.env.REDIS_URL, maxRetries: 3 },
+        sqlite: { path: path.join(scratch, 'storage.db') }
+      });
+    });
+
+    after(async () => {
+      for (const leftover of await storage.keys(`${prefix}*`)) {
+        await storage.del(leftover);
+      }
+      await storage.close();
+    });
+
+    it('implements every method', () => {
+      const missing = STORAGE_METHODS.filter(method => typeof storage[method] !== 'function');
+      assert.deepEqual(missing, []);
+    });
+
+    it('ping and status', async () => {
+      assert.equal(await storage.ping(), true);
+      const status = storage.status();
+      assert.equal(status.connected, true);
+      assert.equal(typeof status.driver, 'string');
+    });
+
+    it('get returns null for missing keys', async () => {
+      assert.equal(await storage.get(key('missing')), null);
+      assert.equal(await storage.exists(key('missing')), false);
+    });
+
+    it('set stores values as strings', async () => {
+      await storage.set(key('string'), 'value');
+      await storage.set(key('number'), 42);
+      assert.equal(await storage.get(key('string')), 'value');
+      assert.equal(await storage.get(key('number')), '42');
+      assert.equal(await storage.exists(key('string')), true);
+    });
+
+    it('ttl reports expiration', async () => {
+      await storage.setEx(key('expiring'), 'value', 100);
+      await storage.set(key('with-ttl'), 'value', 100);
+      const ttl = await storage.ttl(key('expiring'));
+      assert.ok(ttl > 0 && ttl <= 100, `ttl ${ttl}`);
+      assert.ok(await storage.ttl(key('with-ttl')) > 0);
+      assert.equal(await storage.ttl(key('string')), -1);
+      assert.equal(await storage.ttl(key('missing')), -2);
+    });
+
+    it('set without ttl clears the expiration', async () => {
+      await storage.setEx(key('persisted'), 'a', 100);
+      await storage.set(key('persisted'), 'b');
+      assert.equal(await storage.ttl(key('persisted')), -1);
+    });
+
+    it('expired keys disappear', async () => {
+      await storage.setEx(key('short'), 'value', 1);
+      assert.equal(await storage.setNx(key('short-nx'), 'first', 1), true);
+      assert.equal(await storage.setNx(key('short-nx'), 'second', 1), false);
+      assert.equal(await storage.get(key('short-nx')), 'first');
+
+      // Real time, Redis expires keys on its own clock
+      await sleep(1100);
+
+      assert.equal(await storage.get(key('short')), null);
+      assert.equal(await storage.exists(key('short')), false);
+      assert.equal(await storage.ttl(key('short')), -2);
+      assert.deepEqual(await storage.keys(key('short*')), []);
+      assert.equal(await storage.setNx(key('short-nx'), 'third', 10), true);
+      assert.equal(await storage.get(key('short-nx')), 'third');
+    });
+
+    it('mget returns values in key order', async () => {
+      assert.deepEqual(
+        await storage.mget([key('number'), key('missing'), key('string')]),
+        ['42', null, 'value']
+      );
+      assert.deepEqual(await storage.mget([]), []);
+    });
+
+    it('del reports whether the key existed', async () => {
+      await storage.set(key('deleted'), 'value');
+      assert.equal(await storage.del(key('deleted')), true);
+      assert.equal(await storage.del(key('deleted')), false);
+      assert.equal(await storage.get(key('deleted')), null);
+    });
+
+    it('incr counts from zero and keeps the ttl', async () => {
+      assert.equal(await storage.incr(key('counter')), 1);
+      assert.equal(await storage.incr(key('counter')), 2);
+      assert.equal(await storage.get(key('counter')), '2');
+
+      await storage.setEx(key('limited'), '10', 100);
+      assert.equal(await storage.incr(key('limited')), 11);
+      assert.ok(await storage.ttl(key('limited')) > 0);
+    });
+
+    it('incr is atomic', async () => {
+      await Promise.all(Array.from({ length: 50 }, () => storage.incr(key('concurrent'))));
+      assert.equal(await storage.get(key('concurrent')), '50');
+    });
+
+    it('incr rejects non-integer values', async () => {
+      await assert.rejects(storage.incr(key('string')), /not an integer/);
+      assert.equal(await storage.get(key('string')), 'value');
+    });
+
+    it('expire sets the ttl of existing keys', async () => {
+      assert.equal(await storage.expire(key('missing'), 10), false);
+      assert.equal(await storage.expire(key('counter'), 10), true);
+      const ttl = await storage.ttl(key('counter'));
+      assert.ok(ttl > 0 && ttl <= 10, `ttl ${ttl}`);
+      assert.equal(await storage.get(key('counter')), '2');
+    });
+
+    it('keys matches glob patterns', async () => {
+      for (const name of ['hello', 'hallo', 'hxllo', 'hllo', 'heeeello', 'a*b', 'a[b', 'a-b']) {
+        await storage.set(key(`glob:${name}`), '1');
+      }
+
+      const match = async (pattern) => (await storage.keys(key(`glob:${pattern}`)))
+        .map(found => found.slice(key('glob:').length))
+        .sort();
+
+      assert.deepEqual(await match('h?llo'), ['hallo', 'hello', 'hxllo']);
+      assert.deepEqual(await match('h*llo'), ['hallo', 'heeeello', 'hello', 'hllo', 'hxllo']);
+      assert.deepEqual(await match('h[ae]llo'), ['hallo', 'hello']);
+      assert.deepEqual(await match('h[^e]llo'), ['hallo', 'hxllo']);
+      assert.deepEqual(await match('h[a-b]llo'), ['hallo']);
+      assert.deepEqual(await match('a\\*b'), ['a*b']);
+      assert.deepEqual(await match('a\\[b'), ['a[b']);
+      assert.deepEqual(await match('a?b'), ['a*b', 'a-b', 'a[b']);
+      assert.deepEqual(await match('*'), ['a*b', 'a-b', 'a[b', 'hallo', 'heeeello', 'hello', 'hllo', 'hxllo']);
+    });
+
+    it('sorted sets', async () => {
+      const set = key('zset');
+      await storage.zadd(set, 3, 'c');
+      await storage.zadd(set, 1, 'a');
+      await storage.zadd(set, 2, 'b');
+      await storage.zadd(set, 5, 'a');
+
+      assert.equal(await storage.zcard(set), 3);
+      assert.deepEqual(await storage.zrange(set, 0, -1), ['b', 'c', 'a']);
+      assert.deepEqual(await storage.zrange(set, 0, 0), ['b']);
+      assert.equal(await storage.exists(set), true);
+      assert.ok((await storage.keys(key('zs*'))).includes(set));
+
+      assert.equal(await storage.zclaim(set, 2, 10), 'b');
+      assert.equal(await storage.zclaim(set, 2, 10), null);
+      assert.deepEqual(await storage.zrange(set, 0, -1), ['c', 'a', 'b']);
+
+      assert.equal(await storage.zrem(set, 'c'), true);
+      assert.equal(await storage.zrem(set, 'c'), false);
+      assert.equal(await storage.del(set), true);
+      assert.equal(await storage.zcard(set), 0);
+      assert.equal(await storage.exists(set), false);
+    });
+
+    it('zclaim hands each member out once', async () => {
+      const set = key('claims');
+      for (let i = 0; i < 10; i++) {
+        await storage.zadd(set, i, `job${i}`);
+      }
+
+      const claims = await Promise.all(Array.from({ length: 15 }, () => storage.zclaim(set, 100, 1000)));
+      const claimed = claims.filter(Boolean);
+      assert.equal(claimed.length, 10);
+      assert.equal(new Set(claimed).size, 10);
+    });
+  });
+}